@@ -0,0 +1,4908 @@
+// Space Adventure Game - Game Engine
+// Pure game logic with no DOM access. Every command returns a structured result
+// ({ text, events, delta }) that a renderer (see game.js) or a Node script can consume.
+
+// World that ships with the game (a JSON world file, relative to the page and to engine.js)
+const DEFAULT_WORLD_FILE = 'worlds/alien_planet.json';
+
+// Save game settings
+const SAVE_VERSION = 2; // Bump when the snapshot format changes, with a migration in SAVE_MIGRATIONS
+const SAVE_KEY_PREFIX = 'alienPlanetSave:'; // localStorage key prefix for save slots
+const DEFAULT_SAVE_SLOT = 'quicksave'; // Slot used when no name is given
+const LEADERBOARD_KEY = 'alienPlanetLeaderboard'; // localStorage key of the wins leaderboard
+const LEADERBOARD_SIZE = 10; // Wins kept on the leaderboard
+const ACHIEVEMENTS_KEY = 'alienPlanetAchievements'; // localStorage key of unlocked achievements
+
+// Engine events an achievement can be unlocked on (the "on" field of an achievement)
+const ACHIEVEMENT_EVENTS = ['room-entered', 'creature-killed', 'item-used', 'player-damaged', 'player-healed', 'win', 'game-over'];
+
+// The turns the player can be stuck on a quest step before its hint unlocks, unless the step sets "hintAfter"
+const QUEST_HINT_TURNS = 10;
+
+// Kinds of ending: a good ending is a clean escape, a bad one still ends the game as a win but at a cost
+const ENDING_TYPES = ['good', 'bad'];
+
+// Difficulty presets, chosen when a game starts. Creature stats, the player's damage, healing,
+// item uses and oxygen use are scaled by these factors; ironman runs also can't save, load or undo.
+const DIFFICULTIES = {
+    easy: { name: 'Easy', creatureHealth: 0.75, creatureDamage: 0.6, playerDamage: 1.25, healing: 1.5, itemUses: 2, oxygenDrain: 0.75, ironman: false },
+    normal: { name: 'Normal', creatureHealth: 1, creatureDamage: 1, playerDamage: 1, healing: 1, itemUses: 1, oxygenDrain: 1, ironman: false },
+    hard: { name: 'Hard', creatureHealth: 1.25, creatureDamage: 1.3, playerDamage: 1, healing: 0.75, itemUses: 0.5, oxygenDrain: 1.25, ironman: false },
+    ironman: { name: 'Ironman', creatureHealth: 1.25, creatureDamage: 1.3, playerDamage: 1, healing: 0.75, itemUses: 0.5, oxygenDrain: 1.25, ironman: true }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Commands that can be undone by default (the undoDepth option changes it; 0 turns undo off)
+const DEFAULT_UNDO_DEPTH = 20;
+
+// Directions a room exit can use
+const DIRECTIONS = ['north', 'south', 'east', 'west', 'up', 'down'];
+
+// Equipment slots on the player
+const EQUIPMENT_SLOTS = ['weapon', 'armor'];
+
+// Commands that are legal turns in a fight (anything else gives the creature a free attack)
+const COMBAT_ACTIONS = ['attack', 'defend', 'flee', 'use', 'give'];
+
+// What a creature won't let the player do mid-fight, by command ("The Xenomorph won't let you ...")
+const BLOCKED_ACTION_PHRASES = {
+    go: 'get away', look: 'look around', search: 'search the area', read: 'stop to read', unlock: 'work the lock',
+    take: 'pick anything up', drop: 'put anything down', combine: 'tinker with your gear', talk: 'start a conversation',
+    say: 'talk', trade: 'trade', equip: 'change your gear', unequip: 'change your gear'
+};
+
+// Commands that don't take any game time (no turn passes, lights don't drain)
+const FREE_ACTIONS = ['inventory', 'status', 'stats', 'equipment', 'examine', 'journal', 'map', 'leaderboard', 'achievements', 'objectives', 'help'];
+
+// Verbs the engine understands, with the words and phrases players may type for each
+const VERB_SYNONYMS = {
+    go: ['go', 'move', 'walk', 'head', 'travel', 'go to'],
+    look: ['look', 'l'],
+    examine: ['examine', 'x', 'inspect', 'check', 'look at'],
+    search: ['search'],
+    read: ['read', 'study'],
+    unlock: ['unlock', 'open'],
+    take: ['take', 'get', 'grab', 'collect', 'pick', 'pick up'],
+    drop: ['drop', 'discard', 'put down'],
+    use: ['use', 'activate', 'eat', 'drink', 'apply', 'turn on', 'turn off', 'switch on', 'switch off'],
+    combine: ['combine', 'attach', 'connect', 'merge'],
+    attack: ['attack', 'fight', 'hit', 'kill', 'strike', 'slay', 'stab'],
+    defend: ['defend', 'block'],
+    flee: ['flee', 'run', 'retreat', 'escape', 'run away'],
+    talk: ['talk', 'speak', 'chat', 'talk to', 'talk with', 'speak to', 'speak with', 'chat with'],
+    say: ['say', 'answer', 'reply'],
+    give: ['give', 'offer', 'hand'],
+    trade: ['trade', 'barter', 'swap'],
+    equip: ['equip', 'wield', 'wear', 'put on'],
+    unequip: ['unequip', 'remove', 'take off'],
+    equipment: ['equipment', 'eq', 'gear'],
+    inventory: ['inventory', 'inv', 'i'],
+    status: ['status', 'health', 'hp'],
+    stats: ['stats', 'level', 'xp', 'experience', 'character'],
+    journal: ['journal', 'codex', 'notes', 'j'],
+    map: ['map', 'm'],
+    leaderboard: ['leaderboard', 'scores', 'highscores'],
+    achievements: ['achievements', 'achievement', 'trophies'],
+    objectives: ['objectives', 'objective', 'quests', 'quest', 'goals', 'o'],
+    help: ['help', 'h', '?']
+};
+
+// Where each direction leads on the map grid: [x, y] steps (up and down are drawn diagonally)
+const MAP_OFFSETS = {
+    north: [0, -1], south: [0, 1], east: [1, 0], west: [-1, 0], up: [1, -1], down: [-1, 1]
+};
+
+// Short forms of directions ("n" is "north")
+const DIRECTION_ALIASES = { n: 'north', s: 'south', e: 'east', w: 'west', u: 'up', d: 'down' };
+
+// Words dropped from nouns ("take the medkit" is "take medkit")
+const STOP_WORDS = ['the', 'a', 'an', 'at', 'some', 'my', 'your', 'this', 'that', 'around'];
+
+// Words that split a command into an object and a target ("give bar to alien")
+const PREPOSITIONS = ['on', 'to', 'with', 'in', 'into', 'onto', 'from', 'for'];
+
+// Clock and air, for worlds that set "time" and "oxygen": the values used for fields a world leaves out.
+// Hours are 0-23; night runs from nightStart to nightEnd.
+const DEFAULT_TIME = {
+    startHour: 8, minutesPerTurn: 30, nightStart: 20, nightEnd: 6,
+    nightText: 'The sun sets. Night falls, and the creatures of the planet grow bolder.',
+    dayText: 'Dawn breaks. The long night is over.'
+};
+const DEFAULT_OXYGEN = { max: 100, drainPerTurn: 1, suffocationDamage: 5 };
+const LOW_OXYGEN_SHARE = 0.25; // Share of max oxygen below which the player is warned
+
+// Creatures see better in the dark: at night they win the initiative more often and pursue more eagerly
+const NIGHT_INITIATIVE_CHANCE = 0.25; // Chance the player acts first at night (PLAYER_INITIATIVE_CHANCE by day)
+const NIGHT_PURSUE_FACTOR = 2; // Pursue chances are multiplied by this at night
+
+// Carrying: the weight the player can carry unless the world sets its own "capacity",
+// and the weight of an item that doesn't set one
+const CARRY_CAPACITY = 25;
+const DEFAULT_ITEM_WEIGHT = 1;
+
+// Chance of stumbling when moving through an unlit dark room (except back the way you came)
+const DARK_STUMBLE_CHANCE = 0.5;
+
+// Turns a creature that fled from a fight keeps its distance before it can pursue the player again
+const CREATURE_RECOVERY_TURNS = 3;
+
+// Combat odds
+const CRITICAL_HIT_CHANCE = 0.1; // Chance that a player's hit does double damage
+const CREATURE_ACCURACY = 0.8; // Default chance that a creature's attack hits
+const CREATURE_CRITICAL_CHANCE = 0.1; // Default chance that a creature's hit does double damage
+const DEFEND_DAMAGE_FACTOR = 0.5; // Share of a hit's damage that gets through while defending
+const FLEE_CHANCE = 0.6; // Chance of getting away when fleeing a fight
+const PLAYER_INITIATIVE_CHANCE = 0.5; // Chance the player acts before a hostile creature when entering its room
+const PLAYER_ACCURACY = 0.85; // The player's starting chance to hit a creature (levels raise it)
+const COMBAT_LOG_SIZE = 50; // Combat log entries kept
+
+// Experience: XP needed to reach each level (index 0 is level 1; the last entry is the top level),
+// XP for discovering a room that doesn't set its own "xp", and what each level-up raises, in turn
+const LEVEL_XP = [0, 50, 120, 210, 320, 450];
+const FIRST_VISIT_XP = 10;
+const LEVEL_REWARDS = [
+    { maxHealth: 15, text: 'Your max health rises by 15.' },
+    { damageBonus: 3, text: 'Your attacks do 3 more damage.' },
+    { accuracy: 0.05, text: 'Your aim improves: +5% hit chance.' }
+];
+
+// Turn an exit from the world definition into an exit object. An exit is either a room ID
+// or { to, locked, key, requires, oneWay, hidden, revealedBy, ...messages }.
+function normalizeExit(exit) {
+    return typeof exit === 'string' ? { to: exit } : Object.assign({}, exit);
+}
+
+// Replace {name} placeholders in world text with values
+function formatText(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match);
+}
+
+// Format a duration in milliseconds as "1h 02m 05s" (hours only when needed)
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const pad = n => String(n).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const rest = `${pad(Math.floor(seconds / 60) % 60)}m ${pad(seconds % 60)}s`;
+    return hours > 0 ? `${hours}h ${rest}` : rest;
+}
+
+// Item Class - Represents objects that player can collect and use
+class Item {
+    constructor(id, name, description, isUsable = false, isEquippable = false, maxUses = null) {
+        this.id = id; // Unique identifier for the item
+        this.name = name; // Display name of the item
+        this.description = description; // Text description of the item
+        this.isUsable = isUsable; // Can the item be used?
+        this.isEquippable = isEquippable; // Can the item be equipped?
+        this.maxUses = maxUses; // Maximum number of uses (null = unlimited)
+        this.currentUses = maxUses; // Current remaining uses
+        this.effect = null; // What using the item does, from the world definition (see ITEM_EFFECTS)
+        this.slot = null; // Equipment slot for equippable items ('weapon' or 'armor')
+        this.stats = {}; // Equipment stats: damageBonus, damageReduction, hitChance
+        this.isLightSource = false; // Can the item light up dark rooms?
+        this.isLit = false; // Is the light switched on?
+        this.battery = null; // Turns of light left (null = never runs out)
+        this.drainPerTurn = 0; // Battery used each turn while lit
+        this.details = null; // Longer description shown by 'examine'
+        this.read = null; // Writing on the item: { title, text, effects } (see 'read')
+        this.inflicts = null; // Status effect a hit with this weapon may cause: { type, chance, turns, amount }
+        this.weight = DEFAULT_ITEM_WEIGHT; // How much carrying capacity the item takes up
+    }
+    
+    // Get the item's description
+    getDescription() {
+        return this.description;
+    }
+    
+    // Describe the item's equipment stats, e.g. "+5 damage, +10% hit chance"
+    getStatsText() {
+        const parts = [];
+        if (this.stats.damageBonus) parts.push(`+${this.stats.damageBonus} damage`);
+        if (this.stats.hitChance) parts.push(`+${Math.round(this.stats.hitChance * 100)}% hit chance`);
+        if (this.stats.damageReduction) parts.push(`-${this.stats.damageReduction} damage taken`);
+        return parts.join(', ');
+    }
+    
+    // Use the item by applying its effect; items without an effect are just examined.
+    // switchTo ('on', 'off' or null) is passed on to the effect (see ITEM_EFFECTS).
+    use(player, gameEngine, switchTo = null) {
+        const applyEffect = this.effect ? ITEM_EFFECTS[this.effect.type] : null;
+        if (!applyEffect) {
+            return `<span class="info-text">You examine the ${this.name}. ${this.description}</span>`;
+        }
+        
+        const outcome = applyEffect(this, player, gameEngine, this.effect, switchTo);
+        let text = outcome.text;
+        
+        if (outcome.used) {
+            gameEngine.stats.itemsUsed++;
+            gameEngine.emit('item-used', { item: this.id });
+        }
+        
+        // Only a successful use counts against the item's uses
+        if (outcome.used && this.currentUses !== null) {
+            this.currentUses--;
+            const usesRemaining = this.currentUses;
+            if (usesRemaining > 0) {
+                text += ` (${usesRemaining} use${usesRemaining !== 1 ? 's' : ''} remaining)`;
+            } else {
+                text += ` ${this.name} consumed!`;
+            }
+        }
+        
+        const style = outcome.style || (outcome.used ? 'success' : 'warning');
+        return `<span class="${style}-text">${text}</span>`;
+    }
+    
+    // Capture the item's state for a save snapshot (use functions are rebuilt, not saved)
+    serialize() {
+        const state = {};
+        Object.keys(this).forEach(key => {
+            if (typeof this[key] !== 'function') {
+                state[key] = this[key];
+            }
+        });
+        return state;
+    }
+    
+    // Restore the item's state from a save snapshot
+    restore(state) {
+        Object.keys(state).forEach(key => {
+            if (typeof this[key] !== 'function') {
+                this[key] = state[key];
+            }
+        });
+    }
+}
+
+// Item effects - What an item does when used, keyed by the effect "type" in the world definition.
+// Each returns { text, used, style }: "used" counts the use against the item's uses. "switchTo" is
+// 'on' or 'off' when the player said which ("turn on flashlight"), otherwise null.
+const ITEM_EFFECTS = {
+    // Restore health: { amount, text }, optionally curing status effects ("cures": ["poison"]) and
+    // regenerating over the next turns ("regeneration": { turns, amount })
+    heal(item, player, gameEngine, effect) {
+        const healing = gameEngine.getDifficulty().healing;
+        const amount = Math.round(effect.amount * healing);
+        const healthBefore = player.health;
+        player.health = Math.min(player.health + amount, player.maxHealth);
+        gameEngine.emit('player-healed', { amount: player.health - healthBefore });
+        
+        let text = formatText(effect.text, { amount: amount });
+        const cured = player.statusEffects.filter(status => (effect.cures || []).includes(status.type));
+        if (cured.length > 0) {
+            player.statusEffects = player.statusEffects.filter(status => !cured.includes(status));
+            text += ` ${cured.map(status => STATUS_EFFECTS[status.type].playerEnd).join(' ')}`;
+        }
+        if (effect.regeneration) {
+            addStatusEffect(player, {
+                type: 'regeneration',
+                turns: effect.regeneration.turns,
+                amount: Math.max(1, Math.round(effect.regeneration.amount * healing))
+            });
+            text += ` ${STATUS_EFFECTS.regeneration.playerStart}`;
+        }
+        return { text: text, used: true };
+    },
+    
+    // Refill the player's oxygen: { amount, text, fullText }
+    oxygen(item, player, gameEngine, effect) {
+        const settings = gameEngine.getOxygenSettings();
+        if (!settings) {
+            return { text: `The air here is fine. You don't need the ${item.name}.`, used: false, style: 'info' };
+        }
+        if (player.oxygen >= settings.max) {
+            return { text: effect.fullText || 'Your oxygen is already full.', used: false, style: 'info' };
+        }
+        const amount = Math.min(effect.amount, settings.max - player.oxygen);
+        player.oxygen = Math.round((player.oxygen + amount) * 100) / 100;
+        return { text: formatText(effect.text || 'You refill your oxygen (+{amount}).', { amount: Math.round(amount) }), used: true };
+    },
+    
+    // Show a message: { text }
+    message(item, player, gameEngine, effect) {
+        return { text: effect.text, used: false, style: 'info' };
+    },
+    
+    // Switch a light source on or off: { onText, offText, deadText }
+    light(item, player, gameEngine, effect, switchTo) {
+        if (switchTo === (item.isLit ? 'on' : 'off')) {
+            return { text: gameEngine.refuse(`The ${item.name} is already ${switchTo}.`), used: false, style: 'info' };
+        }
+        if (item.isLit) {
+            item.isLit = false;
+            return { text: effect.offText || `You switch off the ${item.name}.`, used: false, style: 'info' };
+        }
+        if (item.battery !== null && item.battery <= 0) {
+            return { text: effect.deadText || `The ${item.name}'s battery is dead.`, used: false };
+        }
+        item.isLit = true;
+        return { text: effect.onText || `You switch on the ${item.name}.`, used: false, style: 'info' };
+    },
+    
+    // Send a signal from a location once powered, setting a world flag: { location, flag, text, unpoweredText, wrongLocationText }
+    signal(item, player, gameEngine, effect) {
+        if (player.currentLocation !== effect.location) {
+            return { text: effect.wrongLocationText, used: false };
+        }
+        if (!item.isPowered) {
+            return { text: effect.unpoweredText, used: false };
+        }
+        gameEngine.setFlag(effect.flag);
+        return { text: effect.text, used: true };
+    }
+};
+
+// World effects - What dialogue choices, gifts, trades and recipes do, keyed by effect "type".
+// "creature" is the creature involved (null for most recipes). Each returns a message to show, or an empty string.
+const WORLD_EFFECTS = {
+    // The creature hands the player an item it carries: { item, text }
+    giveItem(effect, creature, gameEngine) {
+        if (!creature) return '';
+        const index = creature.inventory.findIndex(item => item.id === effect.item);
+        if (index === -1) return '';
+        const item = creature.inventory.splice(index, 1)[0];
+        gameEngine.player.inventory.push(item);
+        return effect.text || `The ${creature.name} gives you the ${item.name}.`;
+    },
+    
+    // The creature takes an item from the player: { item, text }
+    takeItem(effect, creature, gameEngine) {
+        if (!creature) return '';
+        const item = gameEngine.player.removeItem(effect.item);
+        if (!item) return '';
+        creature.inventory.push(item);
+        return effect.text || `You hand the ${item.name} to the ${creature.name}.`;
+    },
+    
+    // Set a world flag: { flag }
+    setFlag(effect, creature, gameEngine) {
+        gameEngine.setFlag(effect.flag);
+        return effect.text || '';
+    },
+    
+    // Calm a hostile creature down: { text }
+    pacify(effect, creature, gameEngine) {
+        if (!creature) return '';
+        creature.isHostile = false;
+        return effect.text || `The ${creature.name} calms down.`;
+    },
+    
+    // Turn a creature hostile: { text }
+    provoke(effect, creature, gameEngine) {
+        if (!creature) return '';
+        creature.isHostile = true;
+        return effect.text || `The ${creature.name} turns on you!`;
+    },
+    
+    // Put a new item in the player's inventory: { item, text }
+    addItem(effect, creature, gameEngine) {
+        const item = gameEngine.items[effect.item];
+        if (gameEngine.player.inventory.includes(item)) return '';
+        gameEngine.player.inventory.push(item);
+        return effect.text || `You get the ${item.name}.`;
+    },
+    
+    // Change an item's state, like powering the beacon: { item, state: { isPowered: true }, text }
+    setItemState(effect, creature, gameEngine) {
+        Object.assign(gameEngine.items[effect.item], effect.state);
+        return effect.text || '';
+    },
+    
+    // Award experience for solving a puzzle: { amount, reason, text }
+    gainXp(effect, creature, gameEngine) {
+        gameEngine.gainXp(effect.amount, effect.reason || 'puzzle solved');
+        return effect.text || '';
+    },
+    
+    // Give a room a new description, like the crater left by an explosion: { room, description, nightDescription, text }
+    setRoomDescription(effect, creature, gameEngine) {
+        const room = gameEngine.getRoom(effect.room);
+        if (!room) return '';
+        room.description = effect.description;
+        if (effect.nightDescription !== undefined) room.nightDescription = effect.nightDescription;
+        return effect.text || '';
+    },
+    
+    // Take a feature out of a room, so nothing can be used on it any more: { room, feature, text }
+    removeFeature(effect, creature, gameEngine) {
+        const room = gameEngine.getRoom(effect.room);
+        if (!room) return '';
+        room.features = room.features.filter(feature => feature.id !== effect.feature);
+        return effect.text || '';
+    },
+    
+    // Reveal a hidden exit: { room, direction, text }
+    revealExit(effect, creature, gameEngine) {
+        const room = gameEngine.getRoom(effect.room);
+        if (!room || !room.exits[effect.direction] || !room.exits[effect.direction].hidden) return '';
+        const message = room.revealExit(effect.direction);
+        return effect.text || message;
+    }
+};
+
+// Status effects - Timed conditions on the player and creatures, keyed by type. An active effect is
+// { type, turns, amount }. Effects with a "health" change tick at the end of every turn (amount per turn);
+// stun has none: each turn it takes away from its target uses up one of its turns.
+const STATUS_EFFECTS = {
+    poison: {
+        name: 'Poisoned', icon: '☠️', health: -1,
+        playerStart: "You've been poisoned!",
+        creatureStart: 'The {name} is poisoned!',
+        playerTick: 'The poison burns in your veins ({amount} damage).',
+        creatureTick: 'The {name} writhes as the poison works ({amount} damage).',
+        playerEnd: 'The poison wears off.'
+    },
+    bleeding: {
+        name: 'Bleeding', icon: '🩸', health: -1,
+        playerStart: "You're bleeding!",
+        creatureStart: 'The {name} is bleeding!',
+        playerTick: 'You bleed from your wounds ({amount} damage).',
+        creatureTick: 'The {name} bleeds ({amount} damage).',
+        playerEnd: 'Your wounds stop bleeding.'
+    },
+    regeneration: {
+        name: 'Regenerating', icon: '💚', health: 1,
+        playerStart: 'You feel your strength returning.',
+        creatureStart: 'The {name} starts to heal.',
+        playerTick: 'You regenerate {amount} health.',
+        creatureTick: 'The {name} regenerates {amount} health.',
+        playerEnd: 'The regeneration fades.'
+    },
+    stun: {
+        name: 'Stunned', icon: '💫', health: 0,
+        playerStart: "You're stunned!",
+        creatureStart: 'The {name} is stunned!',
+        playerEnd: 'You shake off the stun.'
+    }
+};
+
+// Put a status effect ({ type, turns, amount }) on the player or a creature. An effect of a type the
+// target already has doesn't stack: the longer duration and the stronger amount are kept.
+function addStatusEffect(target, status) {
+    const existing = target.statusEffects.find(effect => effect.type === status.type);
+    if (existing) {
+        existing.turns = Math.max(existing.turns, status.turns);
+        existing.amount = Math.max(existing.amount, status.amount || 0);
+    } else {
+        target.statusEffects.push({ type: status.type, turns: status.turns, amount: status.amount || 0 });
+    }
+}
+
+// Copy a status effect from the world definition with its amount scaled by difficulty (null stays null)
+function scaleStatus(status, factor) {
+    if (!status) return null;
+    return Object.assign({}, status, { amount: status.amount ? Math.max(1, Math.round(status.amount * factor)) : 0 });
+}
+
+// Describe the status effects on the player or a creature, e.g. "Bleeding: 2 turns, Stunned: 1 turn"
+function describeStatusEffects(target) {
+    return target.statusEffects.map(effect =>
+        `${STATUS_EFFECTS[effect.type].name}: ${effect.turns} turn${effect.turns !== 1 ? 's' : ''}`).join(', ');
+}
+
+// Creature Class - Represents creatures in the game
+class Creature {
+    constructor(id, name, description, health, damage, isHostile = true, image = null) {
+        this.id = id; // Unique identifier for the creature
+        this.name = name; // Display name of the creature
+        this.description = description; // Text description of the creature
+        this.health = health; // Current health points
+        this.maxHealth = health; // Maximum health points
+        this.damage = damage; // Damage dealt in combat
+        this.isHostile = isHostile; // Is the creature hostile to the player?
+        this.isAlive = true; // Is the creature alive?
+        this.image = image; // Image path for creature modal
+        this.inventory = []; // Items the creature carries (for gifts and trades)
+        this.dialogue = null; // Dialogue tree from the world definition: { start, nodes }
+        this.trades = []; // Trade offers: [{ give, get, text }]
+        this.gifts = {}; // Reactions to items given to the creature, by item ID: { text, effects }
+        this.behavior = {}; // How the creature acts each turn: { fleeAt, pursue, roam, guards, provokable, territory }
+        this.isAlerted = false; // Has the creature met the player? (Only alerted creatures pursue)
+        this.recoveringTurns = 0; // Turns left before a creature that fled will pursue again
+        this.accuracy = CREATURE_ACCURACY; // Chance that an attack hits
+        this.criticalChance = CREATURE_CRITICAL_CHANCE; // Chance that a hit does double damage
+        this.details = null; // Longer description shown by 'examine'
+        this.inflicts = null; // Status effect a hit may cause: { type, chance, turns, amount } (see STATUS_EFFECTS)
+        this.statusEffects = []; // Active status effects: [{ type, turns, amount }]
+        this.xp = 0; // Experience the player gets for defeating the creature
+    }
+    
+    // Attack the player: roll to hit, then for a critical, then for the status effect the creature inflicts.
+    // A defending player takes half damage and no criticals. Returns { hit, critical, damage, text }.
+    attack(player, rng, defending = false) {
+        if (!this.isAlive || !this.isHostile) return { hit: false, critical: false, damage: 0, text: '' };
+        
+        if (rng.next() >= this.accuracy) {
+            return {
+                hit: false, critical: false, damage: 0,
+                text: `${this.name} <span class="combat-highlight">lunges</span> at you but <span class="combat-highlight">misses</span>!`
+            };
+        }
+        
+        const critical = !defending && rng.next() < this.criticalChance;
+        let damage = rng.int(1, this.damage) * (critical ? 2 : 1);
+        if (defending) {
+            damage = Math.ceil(damage * DEFEND_DAMAGE_FACTOR);
+        }
+        
+        const damageDealt = player.takeDamage(damage);
+        const verb = critical ? '<span class="combat-highlight">critically hits</span>' : '<span class="combat-highlight">attacks</span>';
+        let text = `${this.name} ${verb} you for <span class="combat-highlight">${damageDealt}</span> <span class="combat-highlight">damage</span>!` +
+            (defending ? ' Your guard absorbs part of the blow.' : '');
+        
+        if (this.inflicts && player.isAlive && rng.next() < this.inflicts.chance) {
+            addStatusEffect(player, this.inflicts);
+            text += ` <span class="danger-text">${STATUS_EFFECTS[this.inflicts.type].playerStart}</span>`;
+        }
+        return { hit: true, critical: critical, damage: damageDealt, text: text };
+    }
+    
+    // Should the creature run from the fight? (Its health has dropped to its fleeAt share of max health)
+    shouldFlee() {
+        return this.isAlive && this.behavior.fleeAt !== undefined &&
+            this.health <= this.maxHealth * this.behavior.fleeAt;
+    }
+    
+    // Can the creature move into a room? Creatures with a territory stay inside it.
+    canEnter(roomId) {
+        return !this.behavior.territory || this.behavior.territory.includes(roomId);
+    }
+    
+    // Take damage from the player
+    takeDamage(amount) {
+        this.health -= amount;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.isAlive = false;
+            return true; // Creature died
+        }
+        return false; // Creature survived
+    }
+    
+    // Get the creature's status
+    checkStatus() {
+        if (!this.isAlive) return `${this.name} is dead.`;
+        const effects = describeStatusEffects(this);
+        return `${this.name} (Health: ${this.health}/${this.maxHealth}${effects ? `, ${effects}` : ''})`;
+    }
+    
+    // Get the creature's description
+    getDescription() {
+        return this.description;
+    }
+    
+    // Capture the creature's state for a save snapshot
+    serialize() {
+        return {
+            id: this.id,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            isHostile: this.isHostile,
+            isAlive: this.isAlive,
+            inventory: this.inventory.map(item => item.id),
+            isAlerted: this.isAlerted,
+            recoveringTurns: this.recoveringTurns,
+            statusEffects: this.statusEffects.map(effect => Object.assign({}, effect))
+        };
+    }
+    
+    // Restore the creature's state from a save snapshot
+    restore(state, items) {
+        this.health = state.health;
+        this.maxHealth = state.maxHealth;
+        this.isHostile = state.isHostile;
+        this.isAlive = state.isAlive;
+        if (state.inventory) {
+            this.inventory = state.inventory.map(id => items[id]).filter(Boolean);
+        }
+        this.isAlerted = state.isAlerted;
+        this.recoveringTurns = state.recoveringTurns;
+        this.statusEffects = state.statusEffects.map(effect => Object.assign({}, effect));
+    }
+}
+
+// Room Class - Represents locations in the game
+class Room {
+    constructor(id, name, description, image) {
+        this.id = id; // Unique identifier for the room
+        this.name = name; // Display name of the room
+        this.description = description; // Text description of the room
+        this.image = image; // Image for the room
+        this.items = []; // Items in the room
+        this.creatures = []; // Creatures in the room
+        this.exits = {}; // Exits to other rooms by direction: { to, locked, key, requires, oneWay, hidden, ... }
+        this.isVisited = false; // Has the player visited this room before?
+        this.activeCreatureIndex = 0; // Index of currently active creature for sequential encounters
+        this.isDark = false; // Does the room need a light to see in?
+        this.darkDescription = null; // Shown instead of the description when the player has no light
+        this.features = []; // Fixed things in the room that items can be used on: [{ id, name, description, details, read }]
+        this.note = null; // Line written in the journal when the player first visits
+        this.xp = FIRST_VISIT_XP; // Experience for discovering the room
+        this.nightDescription = null; // Shown instead of the description at night
+        this.oxygen = 0; // Oxygen restored each turn spent here (a negative value drains extra, like thin air)
+    }
+    
+    // Get the room's description. Without light (canSee false), items and exits stay hidden;
+    // at night the night description (if any) replaces the usual one.
+    getDescription(canSee = true, isNight = false) {
+        const daylight = isNight && this.nightDescription ? this.nightDescription : this.description;
+        const text = canSee ? daylight : (this.darkDescription || "It's pitch black. You can't see a thing.");
+        let desc = `<span class="location-name">${this.name}</span>\n\n${text}`;
+        
+        // Add items in the room
+        if (canSee && this.items.length > 0) {
+            desc += "\n\nYou see: ";
+            const itemNames = this.items.map(item => `<span class="item-name">${item.name}</span>`).join(", ");
+            desc += itemNames;
+        }
+        
+        // Add creatures in the room
+        if (this.creatures.length > 0) {
+            desc += "\n\nCreatures: ";
+            const creatureNames = this.creatures.map(creature =>
+                `<span class="creature-name">${creature.name}</span>`).join(", ");
+            desc += creatureNames;
+        }
+        
+        // Add creature alert if hostile creatures are present
+        const hostileCreatures = this.creatures.filter(creature =>
+            creature.isHostile && creature.isAlive
+        );
+        if (hostileCreatures.length > 0) {
+            const creatureNames = hostileCreatures.map(c => c.name).join(' and ');
+            desc += `\n\n<span class="creature-alert">[${creatureNames.toUpperCase()}] DETECTED! MUST ENGAGE!!</span>`;
+        }
+        
+        // Add available exits (hidden ones stay secret until revealed)
+        const exitDirections = this.getExits();
+        if (!canSee) {
+            desc += "\n\nYou can't make out any exits in the dark.";
+        } else if (exitDirections.length > 0) {
+            desc += "\n\nExits: " + exitDirections.map(direction =>
+                this.exits[direction].locked ? `${direction} (locked)` : direction).join(", ");
+        } else {
+            desc += "\n\nThere are no obvious exits.";
+        }
+        
+        return desc;
+    }
+    
+    // Get available exits (directions of exits that aren't hidden)
+    getExits() {
+        return Object.keys(this.exits).filter(direction => !this.exits[direction].hidden);
+    }
+    
+    // Get the exit in a direction, or null if there is none or it is still hidden
+    getExit(direction) {
+        const exit = this.exits[direction];
+        return exit && !exit.hidden ? exit : null;
+    }
+    
+    // Search the room, revealing hidden exits that a search can find. Returns the reveal messages.
+    search() {
+        return Object.keys(this.exits)
+            .filter(direction => this.exits[direction].hidden && (this.exits[direction].revealedBy || 'search') === 'search')
+            .map(direction => this.revealExit(direction));
+    }
+    
+    // Reveal a hidden exit and return the message describing it
+    revealExit(direction) {
+        const exit = this.exits[direction];
+        exit.hidden = false;
+        return exit.revealMessage || `You discover a hidden passage leading ${direction}!`;
+    }
+    
+    // Add an item to the room
+    addItem(item) {
+        this.items.push(item);
+    }
+    
+    // Remove an item from the room
+    removeItem(itemId) {
+        const index = this.items.findIndex(item => item.id === itemId);
+        if (index !== -1) {
+            return this.items.splice(index, 1)[0];
+        }
+        return null;
+    }
+    
+    // Add a creature to the room
+    addCreature(creature) {
+        this.creatures.push(creature);
+    }
+    
+    // Remove a creature from the room
+    removeCreature(creatureId) {
+        const index = this.creatures.findIndex(creature => creature.id === creatureId);
+        if (index !== -1) {
+            return this.creatures.splice(index, 1)[0];
+        }
+        return null;
+    }
+    
+    // Get an item by ID
+    getItem(itemId) {
+        return this.items.find(item => item.id === itemId);
+    }
+    
+    // Get a creature by ID
+    getCreature(creatureId) {
+        return this.creatures.find(creature => creature.id === creatureId);
+    }
+    
+    // Get a creature by name
+    getCreatureByName(name) {
+        return this.creatures.find(creature => 
+            creature.name.toLowerCase() === name.toLowerCase());
+    }
+    
+    // Get a room feature by ID or name
+    getFeature(idOrName) {
+        const search = idOrName.toLowerCase();
+        return this.features.find(feature => feature.id === search || feature.name.toLowerCase() === search) || null;
+    }
+    
+    // Find a creature by full name, ID or part of its name ("alien" finds the Peaceful Alien)
+    findCreature(name) {
+        const search = name.toLowerCase();
+        return this.getCreatureByName(search) ||
+            this.creatures.find(creature => creature.id === search) ||
+            this.creatures.find(creature => creature.name.toLowerCase().includes(search)) ||
+            null;
+    }
+    
+    // Capture the room's state for a save snapshot (items and creatures by ID)
+    serialize() {
+        return {
+            id: this.id,
+            isVisited: this.isVisited,
+            activeCreatureIndex: this.activeCreatureIndex,
+            items: this.items.map(item => item.id),
+            creatures: this.creatures.map(creature => creature.id),
+            exits: JSON.parse(JSON.stringify(this.exits)),
+            description: this.description,
+            nightDescription: this.nightDescription,
+            features: this.features.map(feature => feature.id)
+        };
+    }
+    
+    // Restore the room's state, looking items and creatures up in the world registries
+    restore(state, items, creatures) {
+        this.isVisited = state.isVisited;
+        this.activeCreatureIndex = state.activeCreatureIndex;
+        this.items = state.items.map(id => items[id]).filter(Boolean);
+        this.creatures = state.creatures.map(id => creatures[id]).filter(Boolean);
+        
+        // Exits remember being unlocked or revealed; descriptions and features can be changed
+        // by world events (saves migrated from version 1 may not have them)
+        if (state.exits) {
+            this.exits = JSON.parse(JSON.stringify(state.exits));
+        }
+        if (state.description !== undefined) {
+            this.description = state.description;
+            this.nightDescription = state.nightDescription;
+        }
+        if (state.features) {
+            this.features = this.features.filter(feature => state.features.includes(feature.id));
+        }
+    }
+}
+
+// Player Class - Represents the player character
+class Player {
+    constructor(startingRoom) {
+        this.health = 100; // Current health points
+        this.maxHealth = 100; // Maximum health points
+        this.inventory = []; // Items the player is carrying
+        this.currentLocation = startingRoom; // Current room ID
+        this.previousLocation = null; // Room ID the player came from
+        this.isAlive = true; // Is the player alive?
+        this.accuracy = PLAYER_ACCURACY; // Base chance to hit a creature
+        this.equipment = { weapon: null, armor: null }; // Equipped items by slot (they stay in the inventory)
+        this.statusEffects = []; // Active status effects: [{ type, turns, amount }] (see STATUS_EFFECTS)
+        this.level = 1; // Experience level (see LEVEL_XP)
+        this.xp = 0; // Experience points earned
+        this.damageBonus = 0; // Extra damage per hit gained from levels
+        this.oxygen = null; // Oxygen left (null in worlds without an oxygen meter)
+    }
+    
+    // Move to a new room
+    move(direction, gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        // Check if there are hostile creatures in the current room
+        const hostileCreatures = currentRoom.creatures.filter(creature =>
+            creature.isHostile && creature.isAlive
+        );
+        
+        if (hostileCreatures.length > 0) {
+            return `<span class="danger-text">You can't leave while there are hostile creatures here! You must defeat ${hostileCreatures.map(c => c.name).join(' and ')} first.</span>`;
+        }
+        
+        const exit = currentRoom.getExit(direction.toLowerCase());
+        if (!exit) {
+            return gameEngine.refuse(`You can't go ${direction} from here.`);
+        }
+        
+        // Without a light, only the way back is safe: anywhere else you may stumble and get hurt
+        if (!gameEngine.canSee(currentRoom) && exit.to !== this.previousLocation &&
+            gameEngine.rng.next() < DARK_STUMBLE_CHANCE) {
+            const damageTaken = this.takeDamage(gameEngine.rng.int(2, 8));
+            gameEngine.stats.damageTaken += damageTaken;
+            gameEngine.emit('player-damaged', { amount: damageTaken, source: 'stumble' });
+            return `<span class="danger-text">You stumble blindly through the dark and slam into the rock wall for ${damageTaken} damage. You need a light!</span>`;
+        }
+        
+        // Locked exits open automatically if the player carries the key
+        const key = exit.locked && exit.key ? this.getItem(exit.key) : null;
+        if (exit.locked && !key) {
+            return `<span class="warning-text">${exit.lockedMessage || `The way ${direction} is locked.`}</span>`;
+        }
+        
+        // Some exits need an item every time they are used
+        if (exit.requires && !this.getItem(exit.requires)) {
+            const required = gameEngine.items[exit.requires];
+            return `<span class="warning-text">${exit.requiresMessage || `You need the ${required.name} to go ${direction}.`}</span>`;
+        }
+        
+        // Unlock only once the move goes ahead
+        let passage = '';
+        if (exit.locked) {
+            exit.locked = false;
+            passage = exit.unlockMessage || `You unlock the way ${direction} with the ${key.name}.`;
+        }
+        
+        // One-way passages can describe the trip (there is no way back)
+        if (exit.message) {
+            passage += (passage ? ' ' : '') + exit.message;
+        }
+        
+        const description = this.enterRoom(exit.to, gameEngine);
+        return passage ? `<span class="info-text">${passage}</span>\n\n${description}` : description;
+    }
+    
+    // Step into a room (by walking or fleeing): mark it visited, award exploration XP on the first visit,
+    // describe it and roll initiative if a hostile creature is waiting there. Returns the room's description.
+    enterRoom(roomId, gameEngine) {
+        this.previousLocation = this.currentLocation;
+        this.currentLocation = roomId;
+        const nextRoom = gameEngine.getRoom(this.currentLocation);
+
+        // Mark room as visited
+        if (nextRoom) {
+            const firstVisit = !nextRoom.isVisited;
+            nextRoom.isVisited = true;
+            gameEngine.emit('room-entered', { room: nextRoom.id, firstVisit: firstVisit });
+            if (firstVisit) {
+                gameEngine.gainXp(nextRoom.xp, `discovered ${nextRoom.name}`);
+            }
+        }
+
+        // Show image of active hostile creature when entering room
+        if (nextRoom) {
+            const hostileCreaturesInNewRoom = nextRoom.creatures.filter(c => c.isHostile && c.isAlive);
+            if (hostileCreaturesInNewRoom.length > 0 && nextRoom.activeCreatureIndex < hostileCreaturesInNewRoom.length) {
+                const activeCreature = hostileCreaturesInNewRoom[nextRoom.activeCreatureIndex];
+                if (activeCreature && activeCreature.image) {
+                    gameEngine.emit('show-image', {
+                        src: activeCreature.image,
+                        alt: `${activeCreature.name} - ${activeCreature.description}`
+                    });
+                }
+            }
+        }
+
+        let description = nextRoom ? gameEngine.describeRoom(nextRoom) : "You move to an unknown location.";
+        if (nextRoom && gameEngine.getActiveHostile()) {
+            description += '\n\n' + gameEngine.rollInitiative();
+        }
+        return description;
+    }
+    
+    // Unlock an exit in the current room with a key from the inventory
+    unlock(direction, gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        const exit = currentRoom.getExit(direction);
+        if (!exit) {
+            return `There is no way ${direction} from here.`;
+        }
+        if (!exit.locked) {
+            return `The way ${direction} isn't locked.`;
+        }
+        
+        const key = exit.key ? this.getItem(exit.key) : null;
+        if (!key) {
+            return `<span class="warning-text">${exit.lockedMessage || `The way ${direction} is locked.`}</span>`;
+        }
+        
+        exit.locked = false;
+        return `<span class="success-text">${exit.unlockMessage || `You unlock the way ${direction} with the ${key.name}.`}</span>`;
+    }
+    
+    // Take an item from the current room
+    take(itemId, gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        if (!gameEngine.canSee(currentRoom)) {
+            return `<span class="warning-text">It's too dark to find anything here. You need a light.</span>`;
+        }
+        
+        const item = currentRoom.getItem(itemId);
+        if (!item) {
+            // Try to find by name
+            const itemByName = currentRoom.items.find(i =>
+                i.name.toLowerCase() === itemId.toLowerCase());
+            if (!itemByName) {
+                return gameEngine.refuse(`There is no ${itemId} here.`);
+            }
+            itemId = itemByName.id;
+        }
+        
+        // A creature guarding the item won't let the player take it
+        const guard = currentRoom.creatures.find(creature =>
+            creature.isAlive && creature.behavior.guards === itemId);
+        if (guard) {
+            const guardedItem = currentRoom.getItem(itemId);
+            if (guard.isHostile) {
+                return `<span class="danger-text">The ${guard.name} won't let you near the ${guardedItem.name}!</span>`;
+            }
+            guard.isHostile = true;
+            return `<span class="danger-text">As you reach for the ${guardedItem.name}, the ${guard.name} rises to defend it!</span>`;
+        }
+        
+        // Everything the player carries has to fit in their capacity
+        const weighedItem = currentRoom.getItem(itemId);
+        const capacity = gameEngine.getCapacity();
+        if (this.getCarriedWeight() + weighedItem.weight > capacity) {
+            return `<span class="warning-text">The ${weighedItem.name} is too heavy to carry with everything else (weight ${weighedItem.weight}, you're carrying ${this.getCarriedWeight()}/${capacity}). Drop something first.</span>`;
+        }
+        
+        const takenItem = currentRoom.removeItem(itemId);
+        if (takenItem) {
+            this.inventory.push(takenItem);
+            gameEngine.emit('item-taken', { item: takenItem.id });
+            return `You take the ${takenItem.name}.`;
+        }
+        
+        return `You can't take that.`;
+    }
+    
+    // Take every item in the current room that the player can see, one at a time
+    takeAll(gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        if (!gameEngine.canSee(currentRoom)) {
+            return `<span class="warning-text">It's too dark to find anything here. You need a light.</span>`;
+        }
+        if (currentRoom.items.length === 0) {
+            return "There is nothing here to take.";
+        }
+        return currentRoom.items.slice().map(item => this.take(item.id, gameEngine)).join('\n');
+    }
+    
+    // Drop an item from the inventory into the current room (unequipping it first)
+    drop(itemId, gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        const item = this.getItem(itemId);
+        if (!item) {
+            return gameEngine.refuse(`You don't have a ${itemId}.`);
+        }
+        
+        const wasEquipped = Object.values(this.equipment).includes(item);
+        this.removeItem(item.id);
+        currentRoom.addItem(item);
+        return wasEquipped ? `You unequip and drop the ${item.name}.` : `You drop the ${item.name}.`;
+    }
+    
+    // Drop everything the player is carrying
+    dropAll(gameEngine) {
+        if (this.inventory.length === 0) {
+            return "You aren't carrying anything.";
+        }
+        return this.inventory.slice().map(item => this.drop(item.id, gameEngine)).join('\n');
+    }
+    
+    // Total weight of the items the player is carrying
+    getCarriedWeight() {
+        return this.inventory.reduce((total, item) => total + item.weight, 0);
+    }
+    
+    // Is the player carrying a light that is switched on?
+    hasLight() {
+        return this.inventory.some(item => item.isLightSource && item.isLit);
+    }
+    
+    // Find an item in the inventory by ID or name
+    getItem(itemId) {
+        return this.inventory.find(i =>
+            i.id === itemId || i.name.toLowerCase() === itemId.toLowerCase());
+    }
+    
+    // Remove an item from the inventory (unequipping it first), returning the item or null
+    removeItem(itemId) {
+        const item = this.getItem(itemId);
+        if (!item) return null;
+        
+        Object.keys(this.equipment).forEach(slot => {
+            if (this.equipment[slot] === item) {
+                this.equipment[slot] = null;
+            }
+        });
+        this.inventory.splice(this.inventory.indexOf(item), 1);
+        return item;
+    }
+    
+    // Use an item from inventory ("turn on"/"turn off" pass switchTo, see Item.use)
+    use(itemId, gameEngine, switchTo = null) {
+        const item = this.getItem(itemId);
+
+        if (!item) {
+            return gameEngine.refuse(`You don't have a ${itemId}.`);
+        }
+
+        if (!item.isUsable) {
+            return gameEngine.refuse(`You can't use the ${item.name}.`);
+        }
+
+        const result = item.use(this, gameEngine, switchTo);
+
+        // Remove item from inventory (and its equipment slot) if it has been depleted
+        if (item.currentUses !== null && item.currentUses <= 0) {
+            this.removeItem(item.id);
+        }
+
+        return result;
+    }
+    
+    // Equip an item from the inventory into its slot
+    equip(itemId) {
+        const item = this.getItem(itemId);
+        if (!item) {
+            return `You don't have a ${itemId}.`;
+        }
+        
+        if (!item.isEquippable) {
+            return `You can't equip the ${item.name}.`;
+        }
+        
+        const current = this.equipment[item.slot];
+        if (current === item) {
+            return `The ${item.name} is already equipped.`;
+        }
+        
+        this.equipment[item.slot] = item;
+        
+        const stats = item.getStatsText();
+        const swap = current ? `You put away the ${current.name} and equip` : 'You equip';
+        return `<span class="success-text">${swap} the ${item.name}.${stats ? ` (${stats})` : ''}</span>`;
+    }
+    
+    // Unequip an item, by name or by slot ('weapon' or 'armor')
+    unequip(target) {
+        const slot = Object.keys(this.equipment).find(key =>
+            key === target || (this.equipment[key] && this.equipment[key] === this.getItem(target)));
+        
+        if (!slot || !this.equipment[slot]) {
+            return `You don't have a ${target} equipped.`;
+        }
+        
+        const item = this.equipment[slot];
+        this.equipment[slot] = null;
+        return `You unequip the ${item.name}.`;
+    }
+    
+    // Total of an equipment stat across all equipped items
+    getEquipmentBonus(stat) {
+        return Object.values(this.equipment)
+            .filter(Boolean)
+            .reduce((total, item) => total + (item.stats[stat] || 0), 0);
+    }
+    
+    // Describe what is equipped in each slot
+    getEquipment() {
+        return Object.keys(this.equipment).map(slot => {
+            const item = this.equipment[slot];
+            const label = slot.charAt(0).toUpperCase() + slot.slice(1);
+            if (!item) {
+                return `${label}: none`;
+            }
+            const stats = item.getStatsText();
+            return `${label}: ${item.name}${stats ? ` (${stats})` : ''}`;
+        }).join(', ');
+    }
+    
+    // Attack a creature in the current room
+    attack(creatureName, gameEngine) {
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        if (!currentRoom) return "You're in an unknown location.";
+        
+        const creature = currentRoom.getCreatureByName(creatureName);
+        if (!creature) {
+            return gameEngine.refuse(`There is no ${creatureName} here.`);
+        }
+        
+        if (!creature.isAlive) {
+            return gameEngine.refuse(`The ${creatureName} is already dead.`);
+        }
+        
+        // Peaceful creatures only fight back if they can be provoked
+        let provoked = '';
+        if (!creature.isHostile) {
+            if (!creature.behavior.provokable) {
+                return gameEngine.refuse(`The ${creatureName} is not hostile and doesn't want to fight.`);
+            }
+            creature.isHostile = true;
+            provoked = `<span class="danger-text">The ${creature.name} turns on you!</span>\n`;
+        }
+        
+        // Roll to hit: base accuracy plus the equipped weapon's hit chance
+        const hitChance = this.accuracy + this.getEquipmentBonus('hitChance');
+        if (gameEngine.rng.next() >= hitChance) {
+            gameEngine.logCombat(`You miss the ${creature.name}.`);
+            const counterAttack = gameEngine.creatureAttack(creature);
+            return `${provoked}You <span class="combat-highlight">attack</span> the ${creature.name} but <span class="combat-highlight">miss</span>!\n${counterAttack}`;
+        }
+        
+        // Player attacks creature: 5-19 damage plus the level and weapon bonuses, scaled by difficulty and doubled on a critical hit
+        const critical = gameEngine.rng.next() < CRITICAL_HIT_CHANCE;
+        const bonus = this.damageBonus + this.getEquipmentBonus('damageBonus');
+        const baseDamage = Math.round((gameEngine.rng.int(5, 19) + bonus) * gameEngine.getDifficulty().playerDamage);
+        const playerDamage = baseDamage * (critical ? 2 : 1);
+        const creatureDied = creature.takeDamage(playerDamage);
+        gameEngine.recordCreature(creature, { fought: true, defeated: creatureDied });
+        gameEngine.stats.damageDealt += playerDamage;
+        gameEngine.logCombat(`You ${critical ? 'critically hit' : 'hit'} the ${creature.name} for ${playerDamage}.` +
+            (creatureDied ? ` The ${creature.name} dies.` : ''));
+
+        let result = critical
+            ? `${provoked}<span class="combat-highlight">Critical hit!</span> You strike the ${creature.name} for <span class="combat-highlight">${playerDamage}</span> <span class="combat-highlight">damage</span>!`
+            : `${provoked}You <span class="combat-highlight">attack</span> the ${creature.name} for <span class="combat-highlight">${playerDamage}</span> <span class="combat-highlight">damage</span>!`;
+
+        // The equipped weapon may leave a status effect, like a bleeding wound
+        const weapon = this.equipment.weapon;
+        if (!creatureDied && weapon && weapon.inflicts && gameEngine.rng.next() < weapon.inflicts.chance) {
+            addStatusEffect(creature, weapon.inflicts);
+            result += ` ${formatText(STATUS_EFFECTS[weapon.inflicts.type].creatureStart, { name: creature.name })}`;
+        }
+
+        if (creatureDied) {
+            result += ` The ${creature.name} is <span class="combat-highlight">dead</span>!`;
+            const drops = gameEngine.defeatCreature(creature, currentRoom);
+            if (drops) {
+                result += ` ${drops}`;
+            }
+            gameEngine.emit('creature-killed', { creature: creature.id });
+            gameEngine.gainXp(creature.xp, `defeated the ${creature.name}`);
+
+            // Check for next creature and show its image (activeCreatureIndex stays at 0)
+            const remainingHostile = currentRoom.creatures.filter(c => c.isHostile && c.isAlive);
+            if (remainingHostile.length > 0) {
+                const nextCreature = remainingHostile[0]; // Next creature is now at index 0
+                if (nextCreature && nextCreature.image) {
+                    gameEngine.emit('show-image', {
+                        src: nextCreature.image,
+                        alt: `${nextCreature.name} - ${nextCreature.description}`,
+                        delay: 500 // Small delay for dramatic effect
+                    });
+                }
+            }
+        } else {
+            // Badly hurt creatures run if they can; the rest attack back
+            const fled = creature.shouldFlee() ? gameEngine.fleeCreature(creature, currentRoom) : null;
+            if (fled) {
+                result += `\n<span class="warning-text">${fled}</span>`;
+            } else {
+                const counterAttack = gameEngine.creatureAttack(creature);
+                result += "\n" + counterAttack;
+            }
+        }
+
+        return result;
+    }
+    
+    // Defend against the creature you're fighting: its next attack does half damage and can't be critical
+    defend(gameEngine) {
+        const creature = gameEngine.getActiveHostile();
+        if (!creature) {
+            return "There's nothing to defend against.";
+        }
+        
+        gameEngine.logCombat(`You defend against the ${creature.name}.`);
+        return `You raise your guard against the ${creature.name}.\n${gameEngine.creatureAttack(creature, true)}`;
+    }
+    
+    // Try to escape a fight back to the room you came from. Failing gives the creature a free attack;
+    // getting away costs a parting strike.
+    flee(gameEngine) {
+        const creature = gameEngine.getActiveHostile();
+        if (!creature) {
+            return "There's nothing to flee from.";
+        }
+        
+        const currentRoom = gameEngine.getRoom(this.currentLocation);
+        const wayBack = currentRoom.getExits().find(direction =>
+            currentRoom.exits[direction].to === this.previousLocation && !currentRoom.exits[direction].locked);
+        if (!wayBack) {
+            gameEngine.logCombat(`You find no way to escape the ${creature.name}.`);
+            return `<span class="danger-text">There's no way back the way you came!</span>\n${gameEngine.creatureAttack(creature)}`;
+        }
+        
+        if (gameEngine.rng.next() >= FLEE_CHANCE) {
+            gameEngine.logCombat(`You fail to escape the ${creature.name}.`);
+            return `<span class="danger-text">You try to flee, but the ${creature.name} cuts you off!</span>\n${gameEngine.creatureAttack(creature)}`;
+        }
+        
+        gameEngine.logCombat(`You flee ${wayBack} from the ${creature.name}.`);
+        const partingStrike = gameEngine.creatureAttack(creature);
+        if (!this.isAlive) {
+            return `<span class="danger-text">You turn to run...</span>\n${partingStrike}`;
+        }
+        
+        return `<span class="warning-text">You turn and run ${wayBack}! The ${creature.name} strikes at you as you flee.</span>\n${partingStrike}\n\n` +
+            this.enterRoom(currentRoom.exits[wayBack].to, gameEngine);
+    }
+    
+    // Take damage, reduced by equipped armor (a hit always does at least 1 damage).
+    // Returns the damage actually taken.
+    takeDamage(amount) {
+        const damageTaken = amount > 0 ? Math.max(1, amount - this.getEquipmentBonus('damageReduction')) : 0;
+        this.health -= damageTaken;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.isAlive = false;
+        }
+        return damageTaken;
+    }
+    
+    // Check the player's status
+    checkStatus() {
+        if (!this.isAlive) {
+            return "You are dead.";
+        }
+        const effects = describeStatusEffects(this);
+        return `Health: ${this.health}/${this.maxHealth}${effects ? ` (${effects})` : ''}`;
+    }
+    
+    // Get inventory
+    getInventory() {
+        if (this.inventory.length === 0) {
+            return "Your inventory is empty.";
+        }
+        return this.inventory.map(item => {
+            const notes = [];
+            // Show usage count for items with limited uses
+            if (item.currentUses !== null) {
+                notes.push(`${item.currentUses} use${item.currentUses !== 1 ? 's' : ''} left`);
+            }
+            if (Object.values(this.equipment).includes(item)) {
+                notes.push('equipped');
+            }
+            // Show whether lights are on and how much battery is left
+            if (item.isLightSource) {
+                notes.push(item.isLit ? 'on' : 'off');
+                if (item.battery !== null) {
+                    notes.push(`${item.battery} turns of battery`);
+                }
+            }
+            return notes.length > 0 ? `${item.name} (${notes.join(', ')})` : item.name;
+        }).join(", ");
+    }
+    
+    // Capture the player's state for a save snapshot (inventory by item ID)
+    serialize() {
+        return {
+            health: this.health,
+            maxHealth: this.maxHealth,
+            currentLocation: this.currentLocation,
+            previousLocation: this.previousLocation,
+            isAlive: this.isAlive,
+            inventory: this.inventory.map(item => item.id),
+            equipment: {
+                weapon: this.equipment.weapon ? this.equipment.weapon.id : null,
+                armor: this.equipment.armor ? this.equipment.armor.id : null
+            },
+            statusEffects: this.statusEffects.map(effect => Object.assign({}, effect)),
+            level: this.level,
+            xp: this.xp,
+            damageBonus: this.damageBonus,
+            accuracy: this.accuracy,
+            oxygen: this.oxygen
+        };
+    }
+    
+    // Restore the player's state from a save snapshot
+    restore(state, items) {
+        this.health = state.health;
+        this.maxHealth = state.maxHealth;
+        this.currentLocation = state.currentLocation;
+        this.previousLocation = state.previousLocation;
+        this.isAlive = state.isAlive;
+        this.inventory = state.inventory.map(id => items[id]).filter(Boolean);
+        
+        Object.keys(this.equipment).forEach(slot => {
+            this.equipment[slot] = state.equipment[slot] ? items[state.equipment[slot]] || null : null;
+        });
+        this.statusEffects = state.statusEffects.map(effect => Object.assign({}, effect));
+        this.level = state.level;
+        this.xp = state.xp;
+        this.damageBonus = state.damageBonus;
+        this.accuracy = state.accuracy;
+        this.oxygen = state.oxygen;
+    }
+}
+
+// RandomGenerator Class - Seedable pseudo-random numbers (mulberry32), so a run can be replayed exactly
+class RandomGenerator {
+    constructor(seed) {
+        this.seed = seed >>> 0; // Seed the generator started from
+        this.state = this.seed; // Current position in the sequence
+    }
+    
+    // Make a fresh seed for a new run
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+    
+    // Get the next number between 0 (inclusive) and 1 (exclusive)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    // Get a whole number between min and max (both inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    // Capture the generator's position for a save snapshot
+    serialize() {
+        return { seed: this.seed, state: this.state };
+    }
+    
+    // Restore the generator's position from a save snapshot
+    restore(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+// MemoryStorage Class - In-memory stand-in for localStorage (used in Node or when storage is blocked)
+class MemoryStorage {
+    constructor() {
+        this.data = {}; // Stored key/value pairs
+    }
+    
+    get length() {
+        return Object.keys(this.data).length;
+    }
+    
+    key(index) {
+        return Object.keys(this.data)[index] || null;
+    }
+    
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+    
+    setItem(key, value) {
+        this.data[key] = String(value);
+    }
+    
+    removeItem(key) {
+        delete this.data[key];
+    }
+}
+
+// Get the browser's localStorage if it is available, otherwise an in-memory store
+function getDefaultStorage() {
+    try {
+        if (typeof localStorage !== 'undefined' && localStorage) {
+            return localStorage;
+        }
+    } catch (error) {
+        // Accessing localStorage throws when storage is disabled
+    }
+    return new MemoryStorage();
+}
+
+// Upgrades from each older save version to the next, applied in turn when a snapshot is restored.
+// Version 1 grew along with the game, so a version 1 save may lack any field added after the first
+// save format (equipment, status effects, experience, oxygen, quests, ...): each missing field gets
+// the value a new game starts with. Missing room exits, descriptions and features stay as the world defines them.
+const SAVE_MIGRATIONS = {
+    1: snapshot => {
+        const creatures = {};
+        Object.keys(snapshot.creatures || {}).forEach(id => {
+            creatures[id] = Object.assign({ isAlerted: false, recoveringTurns: 0, statusEffects: [] }, snapshot.creatures[id]);
+        });
+        return Object.assign({
+            flags: {},
+            rng: null,
+            commandLog: [],
+            turn: 0,
+            activeEvents: [],
+            conversation: null,
+            combatLog: [],
+            journal: { lore: [], creatures: {}, rooms: [] },
+            difficulty: DEFAULT_DIFFICULTY,
+            hardcore: false,
+            stats: { damageDealt: 0, damageTaken: 0, kills: 0, itemsUsed: 0, elapsedMs: 0 },
+            quests: { completed: [], hints: [], since: {} },
+            ending: null
+        }, snapshot, {
+            version: 2,
+            player: Object.assign({
+                previousLocation: null,
+                equipment: { weapon: null, armor: null },
+                statusEffects: [],
+                level: 1,
+                xp: 0,
+                damageBonus: 0,
+                accuracy: PLAYER_ACCURACY,
+                oxygen: null
+            }, snapshot.player),
+            achievements: Object.assign({ itemsUsed: [], killed: [], healed: 0, earned: [] }, snapshot.achievements),
+            creatures: creatures
+        });
+    }
+};
+
+// Bring a snapshot from an older version of the game up to SAVE_VERSION (see SAVE_MIGRATIONS).
+// Throws if it isn't a snapshot or comes from a version this game can't read.
+function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object' || !Number.isInteger(snapshot.version)) {
+        throw new Error('This is not a saved game.');
+    }
+    if (snapshot.version > SAVE_VERSION) {
+        throw new Error(`This save comes from a newer version of the game (save version ${snapshot.version}).`);
+    }
+    
+    let migrated = snapshot;
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`Saves from version ${migrated.version} of the game can't be loaded any more.`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+// WorldValidationError Class - Thrown when a world definition can't be loaded
+class WorldValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid world definition:\n- ${errors.join('\n- ')}`);
+        this.name = 'WorldValidationError';
+        this.errors = errors; // Every problem found, one message each
+    }
+}
+
+// Get the JSON text of the world that ships with the game. It is loaded like any other world file:
+// in the browser the page fetches DEFAULT_WORLD_FILE and passes the world in (see game.js).
+function getDefaultWorld() {
+    if (typeof require === 'undefined') {
+        throw new Error(`No world given. Load ${DEFAULT_WORLD_FILE} and pass it as new GameEngine({ world }).`);
+    }
+    return require('fs').readFileSync(require('path').join(__dirname, DEFAULT_WORLD_FILE), 'utf8');
+}
+
+// Check a world definition and return a list of problems (empty when the world is valid)
+function validateWorld(world) {
+    if (!world || typeof world !== 'object' || Array.isArray(world)) {
+        return ['The world must be a JSON object.'];
+    }
+    
+    const errors = [];
+    ['rooms', 'items', 'creatures', 'endings'].forEach(key => {
+        if (!Array.isArray(world[key])) {
+            errors.push(`"${key}" must be an array.`);
+        }
+    });
+    if (errors.length > 0) {
+        return errors;
+    }
+    
+    // Collect the IDs of a list of definitions, reporting missing and duplicate IDs
+    const collectIds = (definitions, kind) => {
+        const ids = new Set();
+        definitions.forEach((definition, index) => {
+            if (!definition || typeof definition.id !== 'string' || !definition.id) {
+                errors.push(`${kind} #${index + 1} has no id.`);
+                return;
+            }
+            if (ids.has(definition.id)) {
+                errors.push(`Duplicate ${kind.toLowerCase()} id '${definition.id}'.`);
+            }
+            if (!definition.name) {
+                errors.push(`${kind} '${definition.id}' has no name.`);
+            }
+            ids.add(definition.id);
+        });
+        return ids;
+    };
+    
+    const roomIds = collectIds(world.rooms, 'Room');
+    const itemIds = collectIds(world.items, 'Item');
+    const creatureIds = collectIds(world.creatures, 'Creature');
+    
+    if (roomIds.size === 0) {
+        errors.push('The world needs at least one room.');
+    }
+    if (!roomIds.has(world.startRoom)) {
+        errors.push(`Start room '${world.startRoom}' does not exist.`);
+    }
+    
+    // Exits and placements
+    const itemPlacements = {};
+    const creaturePlacements = {};
+    world.rooms.forEach(room => {
+        if (!room || !room.id) return;
+        
+        Object.keys(room.exits || {}).forEach(direction => {
+            if (!DIRECTIONS.includes(direction)) {
+                errors.push(`Room '${room.id}' has an exit in unknown direction '${direction}'.`);
+            }
+            const exit = normalizeExit(room.exits[direction]);
+            if (!roomIds.has(exit.to)) {
+                errors.push(`Room '${room.id}' has a dangling exit ${direction} to unknown room '${exit.to}'.`);
+            }
+            if (exit.locked && !exit.key) {
+                errors.push(`Room '${room.id}' has a locked exit ${direction} with no key.`);
+            }
+            ['key', 'requires'].forEach(field => {
+                if (exit[field] !== undefined && !itemIds.has(exit[field])) {
+                    errors.push(`Room '${room.id}' has an exit ${direction} whose ${field} is unknown item '${exit[field]}'.`);
+                }
+            });
+        });
+        
+        (room.items || []).forEach(itemId => {
+            if (!itemIds.has(itemId)) {
+                errors.push(`Room '${room.id}' places unknown item '${itemId}'.`);
+            } else if (itemPlacements[itemId]) {
+                errors.push(`Item '${itemId}' is placed in both '${itemPlacements[itemId]}' and '${room.id}'.`);
+            } else {
+                itemPlacements[itemId] = room.id;
+            }
+        });
+        
+        (room.creatures || []).forEach(creatureId => {
+            if (!creatureIds.has(creatureId)) {
+                errors.push(`Room '${room.id}' places unknown creature '${creatureId}'.`);
+            } else if (creaturePlacements[creatureId]) {
+                errors.push(`Creature '${creatureId}' is placed in both '${creaturePlacements[creatureId]}' and '${room.id}'.`);
+            } else {
+                creaturePlacements[creatureId] = room.id;
+            }
+        });
+    });
+    
+    // Items carried by creatures count as placements too
+    world.creatures.forEach(creature => {
+        if (!creature || !creature.id) return;
+        (creature.inventory || []).forEach(itemId => {
+            if (!itemIds.has(itemId)) {
+                errors.push(`Creature '${creature.id}' carries unknown item '${itemId}'.`);
+            } else if (itemPlacements[itemId]) {
+                errors.push(`Item '${itemId}' is placed in both '${itemPlacements[itemId]}' and creature '${creature.id}'.`);
+            } else {
+                itemPlacements[itemId] = creature.id;
+            }
+        });
+    });
+    
+    // Dialogue trees, gifts and trades
+    const checkEffects = (effects, where) => {
+        (effects || []).forEach(effect => {
+            if (!WORLD_EFFECTS[effect.type]) {
+                errors.push(`${where} has unknown effect type '${effect.type}'.`);
+            }
+            if (effect.item !== undefined && !itemIds.has(effect.item)) {
+                errors.push(`${where} uses unknown item '${effect.item}'.`);
+            }
+            if (effect.type === 'gainXp' && (typeof effect.amount !== 'number' || effect.amount <= 0)) {
+                errors.push(`${where} gives an invalid amount of XP (must be more than 0).`);
+            }
+            if ((effect.type === 'setRoomDescription' || effect.type === 'removeFeature') && !roomIds.has(effect.room)) {
+                errors.push(`${where} changes unknown room '${effect.room}'.`);
+            }
+            if (effect.type === 'setRoomDescription' && typeof effect.description !== 'string') {
+                errors.push(`${where} sets a room description without a "description".`);
+            }
+            if (effect.type === 'removeFeature' && roomIds.has(effect.room)) {
+                const room = world.rooms.find(r => r && r.id === effect.room);
+                if (!(room.features || []).some(feature => feature.id === effect.feature)) {
+                    errors.push(`${where} removes unknown feature '${effect.feature}' from room '${effect.room}'.`);
+                }
+            }
+            if (effect.type === 'revealExit') {
+                const room = world.rooms.find(r => r && r.id === effect.room);
+                if (!room) {
+                    errors.push(`${where} reveals an exit in unknown room '${effect.room}'.`);
+                } else if (!room.exits || !room.exits[effect.direction]) {
+                    errors.push(`${where} reveals a missing exit ${effect.direction} in room '${effect.room}'.`);
+                }
+            }
+        });
+    };
+    world.creatures.forEach(creature => {
+        if (!creature || !creature.id) return;
+        
+        if (creature.dialogue) {
+            const nodes = creature.dialogue.nodes || {};
+            if (!nodes[creature.dialogue.start]) {
+                errors.push(`Creature '${creature.id}' has a dialogue with unknown start node '${creature.dialogue.start}'.`);
+            }
+            Object.keys(nodes).forEach(nodeId => {
+                (nodes[nodeId].options || []).forEach((option, index) => {
+                    const where = `Creature '${creature.id}' dialogue node '${nodeId}' option #${index + 1}`;
+                    if (option.next && !nodes[option.next]) {
+                        errors.push(`${where} leads to unknown node '${option.next}'.`);
+                    }
+                    checkEffects(option.effects, where);
+                });
+            });
+        }
+        
+        Object.keys(creature.gifts || {}).forEach(itemId => {
+            if (!itemIds.has(itemId)) {
+                errors.push(`Creature '${creature.id}' accepts unknown gift '${itemId}'.`);
+            }
+            checkEffects(creature.gifts[itemId].effects, `Creature '${creature.id}' gift '${itemId}'`);
+        });
+        
+        (creature.trades || []).forEach((offer, index) => {
+            [offer.give, offer.get].forEach(itemId => {
+                if (!itemIds.has(itemId)) {
+                    errors.push(`Creature '${creature.id}' trade #${index + 1} uses unknown item '${itemId}'.`);
+                }
+            });
+            checkEffects(offer.effects, `Creature '${creature.id}' trade #${index + 1}`);
+        });
+    });
+    
+    // Room features (things in a room that items can be used on)
+    const featureIds = new Set();
+    world.rooms.forEach(room => {
+        if (!room || !room.id) return;
+        (room.features || []).forEach((feature, index) => {
+            if (!feature || !feature.id || !feature.name) {
+                errors.push(`Room '${room.id}' feature #${index + 1} needs an id and a name.`);
+                return;
+            }
+            featureIds.add(feature.id);
+        });
+    });
+    
+    // Writing on items and room features: { title, text, effects }
+    const checkReadable = (definition, where) => {
+        if (definition.read === undefined) return;
+        if (!definition.read || typeof definition.read.text !== 'string') {
+            errors.push(`${where} has "read" with no "text".`);
+            return;
+        }
+        checkEffects(definition.read.effects, where);
+    };
+    world.items.forEach(item => {
+        if (item && item.id) checkReadable(item, `Item '${item.id}'`);
+    });
+    world.rooms.forEach(room => {
+        if (!room || !room.id) return;
+        (room.features || []).forEach(feature => {
+            if (feature && feature.id) checkReadable(feature, `Room '${room.id}' feature '${feature.id}'`);
+        });
+    });
+    
+    // Recipes: "use X on Y" and "combine A with B"
+    if (world.recipes !== undefined && !Array.isArray(world.recipes)) {
+        errors.push('The world "recipes" must be a list.');
+    }
+    (Array.isArray(world.recipes) ? world.recipes : []).forEach((recipe, index) => {
+        const where = `Recipe #${index + 1}`;
+        if (recipe.combine) {
+            if (!Array.isArray(recipe.combine) || recipe.combine.length !== 2) {
+                errors.push(`${where} must combine exactly two items.`);
+            } else {
+                recipe.combine.filter(itemId => !itemIds.has(itemId)).forEach(itemId => {
+                    errors.push(`${where} combines unknown item '${itemId}'.`);
+                });
+            }
+        } else if (recipe.use) {
+            if (!itemIds.has(recipe.use)) {
+                errors.push(`${where} uses unknown item '${recipe.use}'.`);
+            }
+            if (!itemIds.has(recipe.on) && !creatureIds.has(recipe.on) && !featureIds.has(recipe.on)) {
+                errors.push(`${where} is used on unknown item, creature or feature '${recipe.on}'.`);
+            }
+        } else {
+            errors.push(`${where} needs either "combine" or "use" and "on".`);
+        }
+        
+        [recipe.result].concat(recipe.consumes || []).filter(itemId => itemId !== undefined && !itemIds.has(itemId))
+            .forEach(itemId => errors.push(`${where} uses unknown item '${itemId}'.`));
+        checkEffects(recipe.effects, where);
+    });
+    
+    // Status effects inflicted by creatures and weapons: { type, chance, turns, amount }
+    const checkStatusEffect = (status, where) => {
+        if (!STATUS_EFFECTS[status.type]) {
+            errors.push(`${where} has unknown status effect '${status.type}'.`);
+        }
+        if (typeof status.chance !== 'number' || status.chance < 0 || status.chance > 1) {
+            errors.push(`${where} needs a chance between 0 and 1.`);
+        }
+        if (!Number.isInteger(status.turns) || status.turns <= 0) {
+            errors.push(`${where} needs a positive whole number of turns.`);
+        }
+        if (status.amount !== undefined && (typeof status.amount !== 'number' || status.amount < 0)) {
+            errors.push(`${where} has an invalid amount (must be 0 or more).`);
+        }
+    };
+    // Experience for defeating creatures and discovering rooms
+    world.creatures.concat(world.rooms).forEach(definition => {
+        if (definition && definition.id && definition.xp !== undefined &&
+            (typeof definition.xp !== 'number' || definition.xp < 0)) {
+            errors.push(`'${definition.id}' has an invalid xp (must be 0 or more).`);
+        }
+    });
+    
+    world.items.concat(world.creatures).forEach(definition => {
+        if (definition && definition.id && definition.inflicts) {
+            checkStatusEffect(definition.inflicts, `'${definition.id}' inflicts`);
+        }
+    });
+    
+    // Item effects
+    world.items.forEach(item => {
+        if (!item || !item.effect) return;
+        const effect = item.effect;
+        if (!ITEM_EFFECTS[effect.type]) {
+            errors.push(`Item '${item.id}' has unknown effect type '${effect.type}'.`);
+        }
+        if (effect.location !== undefined && !roomIds.has(effect.location)) {
+            errors.push(`Item '${item.id}' has an effect at unknown room '${effect.location}'.`);
+        }
+        if (effect.type === 'oxygen' && (typeof effect.amount !== 'number' || effect.amount <= 0)) {
+            errors.push(`Item '${item.id}' restores an invalid amount of oxygen (must be more than 0).`);
+        }
+        (effect.cures || []).filter(type => !STATUS_EFFECTS[type]).forEach(type => {
+            errors.push(`Item '${item.id}' cures unknown status effect '${type}'.`);
+        });
+        if (effect.regeneration) {
+            checkStatusEffect(Object.assign({ type: 'regeneration', chance: 1 }, effect.regeneration), `Item '${item.id}' regeneration`);
+        }
+    });
+    
+    // Equipment
+    world.items.forEach(item => {
+        if (!item || !item.isEquippable) return;
+        if (!EQUIPMENT_SLOTS.includes(item.slot)) {
+            errors.push(`Equippable item '${item.id}' needs a slot (${EQUIPMENT_SLOTS.join(' or ')}).`);
+        }
+        Object.keys(item.stats || {}).forEach(stat => {
+            if (!['damageBonus', 'damageReduction', 'hitChance'].includes(stat) || typeof item.stats[stat] !== 'number') {
+                errors.push(`Item '${item.id}' has an invalid stat '${stat}'.`);
+            }
+        });
+    });
+    
+    // Weight and carrying capacity
+    world.items.forEach(item => {
+        if (item && item.weight !== undefined && (typeof item.weight !== 'number' || item.weight < 0)) {
+            errors.push(`Item '${item.id}' has an invalid weight (must be 0 or more).`);
+        }
+    });
+    if (world.capacity !== undefined && (typeof world.capacity !== 'number' || world.capacity <= 0)) {
+        errors.push('The world has an invalid capacity (must be more than 0).');
+    }
+    
+    // Light sources
+    world.items.forEach(item => {
+        if (!item || !item.light) return;
+        ['battery', 'drainPerTurn'].forEach(field => {
+            const value = item.light[field];
+            if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+                errors.push(`Item '${item.id}' has an invalid light ${field} (must be 0 or more).`);
+            }
+        });
+    });
+    
+    // Creature stats
+    world.creatures.forEach(creature => {
+        if (!creature || !creature.id) return;
+        if (typeof creature.health !== 'number' || creature.health <= 0) {
+            errors.push(`Creature '${creature.id}' needs a positive health value.`);
+        }
+        if (typeof creature.damage !== 'number' || creature.damage < 0) {
+            errors.push(`Creature '${creature.id}' needs a damage value of 0 or more.`);
+        }
+        ['accuracy', 'criticalChance'].forEach(field => {
+            if (creature[field] !== undefined &&
+                (typeof creature[field] !== 'number' || creature[field] < 0 || creature[field] > 1)) {
+                errors.push(`Creature '${creature.id}' has an invalid ${field} (must be between 0 and 1).`);
+            }
+        });
+        
+        // Behavior: chances and the flee threshold are fractions between 0 and 1
+        const behavior = creature.behavior || {};
+        ['fleeAt', 'pursue', 'roam'].forEach(field => {
+            if (behavior[field] !== undefined &&
+                (typeof behavior[field] !== 'number' || behavior[field] < 0 || behavior[field] > 1)) {
+                errors.push(`Creature '${creature.id}' has an invalid behavior ${field} (must be between 0 and 1).`);
+            }
+        });
+        if (behavior.guards !== undefined && !itemIds.has(behavior.guards)) {
+            errors.push(`Creature '${creature.id}' guards unknown item '${behavior.guards}'.`);
+        }
+        (behavior.territory || []).forEach(roomId => {
+            if (!roomIds.has(roomId)) {
+                errors.push(`Creature '${creature.id}' has unknown room '${roomId}' in its territory.`);
+            }
+        });
+    });
+    
+    // Check the IDs in a condition over the run (see AchievementTracker.checkRunCondition),
+    // including the conditions listed in "anyOf"
+    const checkRunCondition = (condition, where) => {
+        if (condition.location !== undefined && !roomIds.has(condition.location)) {
+            errors.push(`${where} uses unknown room '${condition.location}'.`);
+        }
+        (condition.inventory || []).concat(condition.used || [], condition.notUsed || [])
+            .filter(itemId => !itemIds.has(itemId))
+            .forEach(itemId => errors.push(`${where} uses unknown item '${itemId}'.`));
+        (condition.killed || []).concat(condition.alive || [])
+            .filter(creatureId => !creatureIds.has(creatureId))
+            .forEach(creatureId => errors.push(`${where} uses unknown creature '${creatureId}'.`));
+        if (condition.killsAtLeast !== undefined && (typeof condition.killsAtLeast !== 'number' || condition.killsAtLeast < 1)) {
+            errors.push(`${where} has an invalid killsAtLeast (must be 1 or more).`);
+        }
+        if (condition.anyOf !== undefined) {
+            if (!Array.isArray(condition.anyOf) || condition.anyOf.length === 0) {
+                errors.push(`${where} needs "anyOf" to be a list of conditions.`);
+            } else {
+                condition.anyOf.forEach(option => checkRunCondition(option || {}, where));
+            }
+        }
+    };
+    
+    // Achievements: unlocked on an engine event when every listed condition holds
+    if (world.achievements !== undefined && !Array.isArray(world.achievements)) {
+        errors.push('The world "achievements" must be a list.');
+    }
+    const achievements = Array.isArray(world.achievements) ? world.achievements : [];
+    collectIds(achievements, 'Achievement');
+    achievements.forEach((achievement, index) => {
+        if (!achievement) return;
+        const where = `Achievement '${achievement.id || `#${index + 1}`}'`;
+        if (!ACHIEVEMENT_EVENTS.includes(achievement.on)) {
+            errors.push(`${where} needs "on" set to one of: ${ACHIEVEMENT_EVENTS.join(', ')}.`);
+        }
+        checkRunCondition(achievement, where);
+    });
+    
+    // Endings: the first one whose conditions hold ends the game
+    if (world.endings.length === 0) {
+        errors.push('The world needs at least one ending.');
+    }
+    collectIds(world.endings, 'Ending');
+    world.endings.forEach((ending, index) => {
+        if (!ending) return;
+        const where = `Ending '${ending.id || `#${index + 1}`}'`;
+        if (!ending.conditions || typeof ending.conditions !== 'object' || Object.keys(ending.conditions).length === 0) {
+            errors.push(`${where} has no conditions to check.`);
+            return;
+        }
+        if (ending.type !== undefined && !ENDING_TYPES.includes(ending.type)) {
+            errors.push(`${where} has an unknown type '${ending.type}' (use ${ENDING_TYPES.join(' or ')}).`);
+        }
+        checkRunCondition(ending.conditions, where);
+    });
+    
+    // Quests: steps complete when their conditions hold, and may have a hint for players who get stuck
+    if (world.quests !== undefined && !Array.isArray(world.quests)) {
+        errors.push('The world "quests" must be a list.');
+    }
+    const quests = Array.isArray(world.quests) ? world.quests : [];
+    collectIds(quests, 'Quest');
+    quests.forEach((quest, index) => {
+        if (!quest) return;
+        const where = `Quest '${quest.id || `#${index + 1}`}'`;
+        if (!Array.isArray(quest.steps) || quest.steps.length === 0) {
+            errors.push(`${where} needs a list of steps.`);
+            return;
+        }
+        collectIds(quest.steps, `${where} step`);
+        quest.steps.forEach((step, stepIndex) => {
+            if (!step) return;
+            const stepWhere = `${where} step '${step.id || `#${stepIndex + 1}`}'`;
+            if (!step.conditions || typeof step.conditions !== 'object' || Object.keys(step.conditions).length === 0) {
+                errors.push(`${stepWhere} has no conditions to check.`);
+                return;
+            }
+            if (step.hintAfter !== undefined && !(Number.isInteger(step.hintAfter) && step.hintAfter >= 0)) {
+                errors.push(`${stepWhere} has an invalid hintAfter (must be a whole number of turns, 0 or more).`);
+            }
+            checkRunCondition(step.conditions, stepWhere);
+        });
+    });
+    
+    // Clock and oxygen: every setting is optional, but must be a sensible number
+    const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    if (world.time !== undefined) {
+        const time = world.time || {};
+        ['startHour', 'nightStart', 'nightEnd'].forEach(field => {
+            if (time[field] !== undefined && !(Number.isInteger(time[field]) && isNumberIn(time[field], 0, 23))) {
+                errors.push(`The world time has an invalid ${field} (must be an hour from 0 to 23).`);
+            }
+        });
+        if (time.minutesPerTurn !== undefined && !(Number.isInteger(time.minutesPerTurn) && time.minutesPerTurn > 0)) {
+            errors.push('The world time has an invalid minutesPerTurn (must be a whole number above 0).');
+        }
+    }
+    if (world.oxygen !== undefined) {
+        const oxygen = world.oxygen || {};
+        if (oxygen.max !== undefined && !isNumberIn(oxygen.max, 1, Infinity)) {
+            errors.push('The world oxygen has an invalid max (must be 1 or more).');
+        }
+        ['drainPerTurn', 'suffocationDamage'].forEach(field => {
+            if (oxygen[field] !== undefined && !isNumberIn(oxygen[field], 0, Infinity)) {
+                errors.push(`The world oxygen has an invalid ${field} (must be 0 or more).`);
+            }
+        });
+    }
+    world.rooms.forEach(room => {
+        if (room && room.oxygen !== undefined && typeof room.oxygen !== 'number') {
+            errors.push(`Room '${room.id}' has an invalid oxygen (must be a number).`);
+        }
+    });
+    
+    // Scheduled events: start on a turn, may repeat and last several turns
+    if (world.events !== undefined && !Array.isArray(world.events)) {
+        errors.push('The world "events" must be a list.');
+    }
+    const events = Array.isArray(world.events) ? world.events : [];
+    collectIds(events, 'Event');
+    events.forEach((event, index) => {
+        if (!event) return;
+        const where = `Event '${event.id || `#${index + 1}`}'`;
+        if (!Number.isInteger(event.turn) || event.turn < 1) {
+            errors.push(`${where} needs a "turn" to start on (1 or more).`);
+        }
+        ['every', 'duration'].forEach(field => {
+            if (event[field] !== undefined && !(Number.isInteger(event[field]) && event[field] > 0)) {
+                errors.push(`${where} has an invalid ${field} (must be a whole number above 0).`);
+            }
+        });
+        if (event.location !== undefined && !roomIds.has(event.location)) {
+            errors.push(`${where} uses unknown room '${event.location}'.`);
+        }
+        if (event.damage !== undefined && !isNumberIn(event.damage, 0, Infinity)) {
+            errors.push(`${where} has an invalid damage (must be 0 or more).`);
+        }
+        if (event.conditions) {
+            checkRunCondition(event.conditions, where);
+        }
+        checkEffects(event.effects, where);
+    });
+    
+    // Every room must be reachable from the start room
+    if (roomIds.has(world.startRoom)) {
+        const exitsById = {};
+        world.rooms.forEach(room => {
+            if (room && room.id) exitsById[room.id] = room.exits || {};
+        });
+        
+        const reached = new Set([world.startRoom]);
+        const queue = [world.startRoom];
+        while (queue.length > 0) {
+            const exits = exitsById[queue.shift()];
+            Object.values(exits).forEach(exit => {
+                const targetId = normalizeExit(exit).to;
+                if (roomIds.has(targetId) && !reached.has(targetId)) {
+                    reached.add(targetId);
+                    queue.push(targetId);
+                }
+            });
+        }
+        
+        roomIds.forEach(roomId => {
+            if (!reached.has(roomId)) {
+                errors.push(`Room '${roomId}' is unreachable from the start room '${world.startRoom}'.`);
+            }
+        });
+    }
+    
+    return errors;
+}
+
+// Parse a world definition (a JSON string or an object) and validate it.
+// Throws a WorldValidationError listing every problem if the world can't be used.
+function parseWorld(definition) {
+    let world = definition;
+    if (typeof definition === 'string') {
+        try {
+            world = JSON.parse(definition);
+        } catch (error) {
+            throw new WorldValidationError([`The world is not valid JSON: ${error.message}`]);
+        }
+    }
+    
+    // Older worlds list "winConditions" (flags, location and inventory, with a text and image) instead of endings
+    if (world && typeof world === 'object' && world.endings === undefined && Array.isArray(world.winConditions)) {
+        world = Object.assign({}, world, {
+            endings: world.winConditions.map((condition, index) => ({
+                id: `win_${index + 1}`,
+                name: 'Mission Complete',
+                conditions: ['flags', 'notFlags', 'location', 'inventory']
+                    .filter(key => condition[key] !== undefined)
+                    .reduce((conditions, key) => Object.assign(conditions, { [key]: condition[key] }), {}),
+                text: condition.text,
+                image: condition.image,
+                imageAlt: condition.imageAlt
+            }))
+        });
+    }
+    
+    const errors = validateWorld(world);
+    if (errors.length > 0) {
+        throw new WorldValidationError(errors);
+    }
+    return world;
+}
+
+// Count the single-letter edits needed to turn one word into another (for typo-tolerant noun matching)
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// CommandParser Class - Turns what the player types into commands: verb synonyms, direction
+// abbreviations, stop words, prepositions, chaining ("then", ",") and noun lists ("X and Y")
+class CommandParser {
+    // Split input into separate commands: "go north then take medkit, use medkit"
+    splitChain(input) {
+        return input.split(/\s*(?:,|;|\bthen\b)\s*/i)
+            .map(part => part.replace(/^and\s+|\s+and$/i, '').trim())
+            .filter(Boolean);
+    }
+    
+    // Parse a single command into { verb, noun, preposition, indirect }. Unknown verbs are kept as typed.
+    parse(text) {
+        const words = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return { verb: '', noun: '', preposition: null, indirect: '' };
+        }
+        
+        // A bare direction ("n", "north") means go there
+        const direction = this.parseDirection(words[0]);
+        if (direction && words.length === 1) {
+            return { verb: 'go', noun: direction, preposition: null, indirect: '' };
+        }
+        
+        // Match the longest verb phrase ("pick up" before "pick")
+        let verb = words[0];
+        let verbLength = 1;
+        let matchedLength = 0;
+        Object.keys(VERB_SYNONYMS).forEach(canonical => {
+            VERB_SYNONYMS[canonical].forEach(phrase => {
+                const phraseWords = phrase.split(' ');
+                if (phraseWords.length > matchedLength && phraseWords.every((word, i) => words[i] === word)) {
+                    verb = canonical;
+                    verbLength = phraseWords.length;
+                    matchedLength = phraseWords.length;
+                }
+            });
+        });
+        
+        // Split the rest at the first preposition: "battery on beacon"
+        const rest = words.slice(verbLength).filter(word => !STOP_WORDS.includes(word));
+        const split = rest.findIndex(word => PREPOSITIONS.includes(word));
+        const nounWords = split === -1 ? rest : rest.slice(0, split);
+        const indirectWords = split === -1 ? [] : rest.slice(split + 1);
+        
+        let noun = nounWords.join(' ');
+        if (verb === 'go' || verb === 'unlock') {
+            noun = this.parseDirection(noun) || noun;
+        }
+        
+        // Looking at something ("look datapad") is examining it
+        if (verb === 'look' && noun) {
+            verb = 'examine';
+        }
+        return {
+            verb: verb,
+            noun: noun,
+            preposition: split === -1 ? null : rest[split],
+            indirect: indirectWords.join(' ')
+        };
+    }
+    
+    // Which way a command says to switch something: 'on' for "turn on ..."/"switch on ...", 'off' for
+    // "turn off ..."/"switch off ...", otherwise null (a plain "use" toggles)
+    parseSwitch(text) {
+        const match = text.trim().toLowerCase().match(/^(?:turn|switch)\s+(on|off)\b/);
+        return match ? match[1] : null;
+    }
+    
+    // Turn a direction or its abbreviation into the full direction name, or null
+    parseDirection(word) {
+        if (DIRECTIONS.includes(word)) return word;
+        return DIRECTION_ALIASES[word] || null;
+    }
+    
+    // Is the word a verb (or a direction) the parser knows?
+    isKnownVerb(word) {
+        return !!this.parseDirection(word) ||
+            Object.keys(VERB_SYNONYMS).some(canonical =>
+                VERB_SYNONYMS[canonical].some(phrase => phrase.split(' ')[0] === word));
+    }
+    
+    // Find the candidates ({ id, name }) a noun refers to. Tries exact names and IDs first, then
+    // words that start the same way ("bar" for "Energy Bar"), then small typos ("medkt").
+    // Returns every candidate of the best kind of match (more than one means the noun is ambiguous).
+    matchNames(noun, candidates) {
+        const phrase = noun.toLowerCase();
+        const words = phrase.split(' ').filter(Boolean);
+        if (words.length === 0) return [];
+        
+        const nameWords = candidate => candidate.name.toLowerCase().split(/\s+/);
+        const tiers = [
+            candidate => candidate.name.toLowerCase() === phrase || candidate.id === phrase.replace(/ /g, '_'),
+            candidate => words.every(word => nameWords(candidate).some(nameWord => nameWord.startsWith(word))),
+            candidate => words.every(word => word.length >= 4 &&
+                nameWords(candidate).some(nameWord => editDistance(nameWord, word) <= (word.length > 5 ? 2 : 1)))
+        ];
+        
+        for (const tier of tiers) {
+            const matches = candidates.filter(tier);
+            if (matches.length > 0) {
+                return matches.filter((candidate, index) =>
+                    matches.findIndex(other => other.name === candidate.name) === index);
+            }
+        }
+        return [];
+    }
+}
+
+// AchievementTracker Class - Unlocks the world's achievements as engine events come in.
+// Unlocks are kept in storage across games. What happened during this run (items used, creatures
+// killed, health restored) is part of the game state, so saves and undo bring it back.
+class AchievementTracker {
+    constructor(gameEngine) {
+        this.engine = gameEngine; // Engine whose events are tracked
+        this.definitions = gameEngine.world.achievements || []; // Achievements declared by the world
+        this.progress = { itemsUsed: [], killed: [], healed: 0, earned: [] }; // This run so far (earned: achievement IDs)
+        
+        ACHIEVEMENT_EVENTS.forEach(type => gameEngine.on(type, event => this.handleEvent(event)));
+    }
+    
+    // Note what the event changed about this run, then award every achievement it completes
+    handleEvent(event) {
+        if (event.type === 'item-used' && !this.progress.itemsUsed.includes(event.item)) {
+            this.progress.itemsUsed.push(event.item);
+        } else if (event.type === 'creature-killed' && !this.progress.killed.includes(event.creature)) {
+            this.progress.killed.push(event.creature);
+        } else if (event.type === 'player-healed') {
+            this.progress.healed += event.amount;
+        }
+        
+        this.definitions
+            .filter(achievement => achievement.on === event.type &&
+                !this.progress.earned.includes(achievement.id) && this.checkRunCondition(achievement))
+            .forEach(achievement => this.award(achievement));
+    }
+    
+    // Check a condition over the run, for achievements and endings: the usual flags, location and
+    // inventory (see checkCondition), items used or not used, creatures killed or still alive, a number
+    // of kills ("killsAtLeast"), no healing, every room visited, low health ("healthAtMost", while still
+    // alive) and "anyOf", a list of conditions of which at least one must hold
+    checkRunCondition(condition) {
+        const engine = this.engine;
+        const progress = this.progress;
+        if (!engine.checkCondition(condition)) {
+            return false;
+        }
+        if (condition.anyOf && !condition.anyOf.some(option => this.checkRunCondition(option))) {
+            return false;
+        }
+        if (condition.killsAtLeast !== undefined && progress.killed.length < condition.killsAtLeast) {
+            return false;
+        }
+        if (condition.used && !condition.used.every(itemId => progress.itemsUsed.includes(itemId))) {
+            return false;
+        }
+        if (condition.notUsed && condition.notUsed.some(itemId => progress.itemsUsed.includes(itemId))) {
+            return false;
+        }
+        if (condition.killed && !condition.killed.every(creatureId => progress.killed.includes(creatureId))) {
+            return false;
+        }
+        if (condition.alive && !condition.alive.every(creatureId =>
+            engine.creatures[creatureId] && engine.creatures[creatureId].isAlive)) {
+            return false;
+        }
+        if (condition.notHealed && progress.healed > 0) {
+            return false;
+        }
+        if (condition.allRoomsVisited && !Object.values(engine.rooms).every(room => room.isVisited)) {
+            return false;
+        }
+        if (condition.healthAtMost !== undefined &&
+            (!engine.player.isAlive || engine.player.health > condition.healthAtMost)) {
+            return false;
+        }
+        return true;
+    }
+    
+    // Read the unlocked achievements of this world from storage: [{ world, id, unlockedAt }]
+    getUnlocked() {
+        let entries;
+        try {
+            entries = JSON.parse(this.engine.storage.getItem(ACHIEVEMENTS_KEY)) || [];
+        } catch (error) {
+            entries = [];
+        }
+        return entries.filter(entry => entry.world === this.engine.world.id);
+    }
+    
+    // Award an achievement earned this run. The message is the same whether or not it was unlocked in
+    // an earlier game, so replays print the same text; only a first unlock is stored and told to the renderer.
+    award(achievement) {
+        this.progress.earned.push(achievement.id);
+        this.engine.addMessage(`<span class="success-text">🏆 Achievement earned: ${achievement.name}!</span>`);
+        if (!this.getUnlocked().some(entry => entry.id === achievement.id)) {
+            this.unlock(achievement);
+        }
+    }
+    
+    // Unlock an achievement for good: store it and tell the renderer
+    unlock(achievement) {
+        let entries;
+        try {
+            entries = JSON.parse(this.engine.storage.getItem(ACHIEVEMENTS_KEY)) || [];
+        } catch (error) {
+            entries = [];
+        }
+        try {
+            this.engine.storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(entries.concat({
+                world: this.engine.world.id,
+                id: achievement.id,
+                unlockedAt: new Date().toISOString()
+            })));
+        } catch (error) {
+            // Storage is full or disabled: the achievement is still shown, just not kept
+        }
+        
+        this.engine.emit('achievement-unlocked', {
+            id: achievement.id,
+            name: achievement.name,
+            description: achievement.description || ''
+        });
+    }
+    
+    // Get every achievement of the world with its unlock date (null while locked)
+    getAchievements() {
+        const unlocked = this.getUnlocked();
+        return this.definitions.map(achievement => {
+            const entry = unlocked.find(other => other.id === achievement.id);
+            return {
+                id: achievement.id,
+                name: achievement.name,
+                description: achievement.description || '',
+                unlockedAt: entry ? entry.unlockedAt : null
+            };
+        });
+    }
+    
+    // Show the achievements for the 'achievements' command
+    getText() {
+        const achievements = this.getAchievements();
+        if (achievements.length === 0) {
+            return "This world has no achievements.";
+        }
+        
+        const unlockedCount = achievements.filter(achievement => achievement.unlockedAt).length;
+        const lines = achievements.map(achievement => achievement.unlockedAt
+            ? `<span class="success-text">🏆 ${achievement.name}</span> - ${achievement.description} (${new Date(achievement.unlockedAt).toLocaleDateString()})`
+            : `🔒 ${achievement.name} - ${achievement.description}`);
+        return `=== ACHIEVEMENTS (${unlockedCount}/${achievements.length}) ===\n${lines.join('\n')}`;
+    }
+    
+    // Capture this run's progress for a save snapshot
+    serialize() {
+        return {
+            itemsUsed: this.progress.itemsUsed.slice(),
+            killed: this.progress.killed.slice(),
+            healed: this.progress.healed,
+            earned: this.progress.earned.slice()
+        };
+    }
+    
+    // Restore this run's progress from a save snapshot
+    restore(state) {
+        this.progress = { itemsUsed: state.itemsUsed.slice(), killed: state.killed.slice(), healed: state.healed, earned: state.earned.slice() };
+    }
+}
+
+// QuestTracker Class - Follows the world's quests. A step is done once its conditions hold after a
+// command (however the player came by an item: taking it, a gift, a trade or a recipe), and stays done
+// even if they stop holding. The player is stuck on the first step of a quest that isn't done yet; after a while
+// its hint unlocks. Progress is part of the game state, so saves and undo bring it back.
+class QuestTracker {
+    constructor(gameEngine) {
+        this.engine = gameEngine; // Engine whose events are tracked
+        this.definitions = gameEngine.world.quests || []; // Quests declared by the world
+        this.progress = { completed: [], hints: [], since: {} }; // Steps done and hints unlocked ("quest/step"), and the turn each quest last moved on
+    }
+    
+    // Key of a quest step in the progress lists
+    getKey(quest, step) {
+        return `${quest.id}/${step.id}`;
+    }
+    
+    // Is the step done?
+    isStepComplete(quest, step) {
+        return this.progress.completed.includes(this.getKey(quest, step));
+    }
+    
+    // Is every step of the quest done?
+    isQuestComplete(quest) {
+        return quest.steps.every(step => this.isStepComplete(quest, step));
+    }
+    
+    // Get the step the player is working on: the first one not done yet (null once the quest is done)
+    getCurrentStep(quest) {
+        return quest.steps.find(step => !this.isStepComplete(quest, step)) || null;
+    }
+    
+    // Complete every open step whose conditions hold now, and every quest that leaves with no steps to do
+    update() {
+        const engine = this.engine;
+        this.definitions.forEach(quest => {
+            if (this.isQuestComplete(quest)) return;
+            
+            quest.steps
+                .filter(step => !this.isStepComplete(quest, step) && engine.achievements.checkRunCondition(step.conditions))
+                .forEach(step => {
+                    this.progress.completed.push(this.getKey(quest, step));
+                    this.progress.since[quest.id] = engine.turn;
+                    engine.emit('objective-completed', { quest: quest.id, step: step.id, name: step.name });
+                    engine.addMessage(`<span class="success-text">✅ Objective complete: ${step.name}</span>`);
+                });
+            
+            if (this.isQuestComplete(quest)) {
+                engine.emit('quest-completed', { quest: quest.id, name: quest.name });
+                engine.addMessage(`<span class="success-text">🎯 Quest complete: ${quest.name}!</span>`);
+            }
+        });
+    }
+    
+    // Unlock the hint of each quest's current step once the player has been stuck on it for its
+    // "hintAfter" turns (QUEST_HINT_TURNS by default), counted from the quest's last completed step
+    updateHints() {
+        this.definitions.forEach(quest => {
+            const step = this.getCurrentStep(quest);
+            if (!step || !step.hint || this.progress.hints.includes(this.getKey(quest, step))) return;
+            
+            const hintAfter = step.hintAfter !== undefined ? step.hintAfter : QUEST_HINT_TURNS;
+            if (this.engine.turn - (this.progress.since[quest.id] || 0) >= hintAfter) {
+                this.progress.hints.push(this.getKey(quest, step));
+                this.engine.addMessage(`<span class="info-text">💡 Hint for "${step.name}": ${step.hint}</span>`);
+            }
+        });
+    }
+    
+    // Get every quest of the world for display: [{ id, name, description, isComplete, steps: [{ id, name,
+    // isComplete, isCurrent, hint }] }]. A step's hint is null until it unlocks.
+    getQuests() {
+        return this.definitions.map(quest => {
+            const current = this.getCurrentStep(quest);
+            return {
+                id: quest.id,
+                name: quest.name,
+                description: quest.description || '',
+                isComplete: !current,
+                steps: quest.steps.map(step => ({
+                    id: step.id,
+                    name: step.name,
+                    isComplete: this.isStepComplete(quest, step),
+                    isCurrent: step === current,
+                    hint: this.progress.hints.includes(this.getKey(quest, step)) ? step.hint : null
+                }))
+            };
+        });
+    }
+    
+    // Show the quests for the 'objectives' command
+    getText() {
+        const quests = this.getQuests();
+        if (quests.length === 0) {
+            return "This world has no objectives. Find your own way!";
+        }
+        
+        const sections = quests.map(quest => {
+            const lines = [quest.isComplete
+                ? `<span class="success-text">🎯 ${quest.name} (complete)</span>`
+                : `🎯 ${quest.name}${quest.description ? ` - ${quest.description}` : ''}`];
+            quest.steps.forEach(step => {
+                lines.push(step.isComplete ? `  ✅ ${step.name}` : `  ⬜ ${step.name}`);
+                if (step.hint && !step.isComplete) {
+                    lines.push(`     <span class="info-text">💡 ${step.hint}</span>`);
+                }
+            });
+            return lines.join('\n');
+        });
+        return `=== OBJECTIVES ===\n${sections.join('\n\n')}`;
+    }
+    
+    // Capture the quest progress for a save snapshot
+    serialize() {
+        return {
+            completed: this.progress.completed.slice(),
+            hints: this.progress.hints.slice(),
+            since: Object.assign({}, this.progress.since)
+        };
+    }
+    
+    // Restore the quest progress from a save snapshot
+    restore(state) {
+        this.progress = { completed: state.completed.slice(), hints: state.hints.slice(), since: Object.assign({}, state.since) };
+    }
+}
+
+// GameEngine Class - Manages the game state and logic
+class GameEngine {
+    constructor(options = {}) {
+        this.rooms = {}; // All rooms in the game
+        this.player = null; // The player object
+        this.isGameOver = false; // Is the game over?
+        this.isWin = false; // Did the player win?
+        this.ending = null; // ID of the ending the player reached (see the world's "endings")
+        this.hasPlayerMoved = false; // Has the player made their first move?
+        this.world = parseWorld(options.world || getDefaultWorld()); // World definition (rooms, items, creatures)
+        this.difficulty = options.difficulty || DEFAULT_DIFFICULTY; // Key of DIFFICULTIES
+        if (!DIFFICULTIES[this.difficulty]) {
+            throw new Error(`Unknown difficulty '${this.difficulty}'. Use one of: ${Object.keys(DIFFICULTIES).join(', ')}.`);
+        }
+        this.flags = {}; // World flags set by item effects, checked by endings
+        this.storage = options.storage || getDefaultStorage(); // Where save slots are kept
+        this.rng = new RandomGenerator(options.seed !== undefined ? options.seed : RandomGenerator.createSeed()); // Every random roll goes through this
+        this.commandLog = []; // Commands played since the start, for replays and bug reports
+        this.turn = 0; // Turns played (free actions like 'inventory' don't count)
+        this.activeEvents = []; // Scheduled world events still going on: [{ id, endsAt }] (see runScheduledEvents)
+        this.conversation = null; // Current conversation: { creatureId, nodeId }
+        this.combatLog = []; // Recent combat exchanges: [{ turn, text }]
+        this.journal = { lore: [], creatures: {}, rooms: [] }; // What the player has learned (see updateJournal)
+        this.stats = { damageDealt: 0, damageTaken: 0, kills: 0, itemsUsed: 0, elapsedMs: 0 }; // Run statistics (see getRunSummary)
+        this.clockStartedAt = Date.now(); // When the clock last started; elapsedMs holds the play time before that
+        this.leaderboardRank = null; // Place of this run on the leaderboard, once it's won
+        this.parser = new CommandParser(); // Turns typed input into commands
+        this.pendingQuestion = null; // Waiting for "which one?": { action, target, indirect, slot, options, rest }
+        this.undoDepth = options.undoDepth !== undefined ? options.undoDepth : DEFAULT_UNDO_DEPTH; // Commands 'undo' can take back
+        this.hardcore = !!options.hardcore; // Hardcore runs can't undo
+        this.undoStack = []; // States before recent commands: [{ command, state }] (JSON snapshots), newest last
+        this.redoStack = []; // States taken back by 'undo', for 'redo'
+        this.listeners = {}; // Event listeners by event type
+        this.events = []; // Events emitted while processing the current command
+        this.messages = []; // Extra messages added while processing the current command
+        this.commandRefused = false; // Did the current command do nothing? (then it takes no turn, see refuse())
+        this.achievements = new AchievementTracker(this); // Unlocks the world's achievements as events come in
+        this.quests = new QuestTracker(this); // Completes the steps of the world's quests after each command
+        
+        this.initializeGame();
+        this.mapLayout = this.layoutMap(); // Grid position of every room: { roomId: { x, y } }
+    }
+    
+    // Initialize the game world
+    initializeGame() {
+        this.createRooms();
+        this.createItems();
+        this.createCreatures();
+        this.placeItemsAndCreatures();
+        
+        // Create player in starting room, with a full oxygen tank in worlds that have one
+        this.player = new Player(this.world.startRoom);
+        if (this.getOxygenSettings()) {
+            this.player.oxygen = this.getOxygenSettings().max;
+        }
+    }
+    
+    // Start the game: returns the opening text and any starting-room ambush
+    start() {
+        this.beginResult();
+        
+        let result = `=== ${(this.world.title || 'Untitled World').toUpperCase()} ===\n\n`;
+        if (this.world.intro) {
+            result += `${this.world.intro}\n\n`;
+        }
+        result += "Type 'help' for available commands.";
+        
+        // Show first room
+        const startRoom = this.getRoom(this.player.currentLocation);
+        if (startRoom) {
+            startRoom.isVisited = true;
+            this.emit('room-entered', { room: startRoom.id, firstVisit: true });
+            result += `\n\n${this.describeRoom(startRoom)}`;
+            
+            // Check for hostile creatures in starting room and trigger attack
+            const hostileCreatures = startRoom.creatures.filter(creature =>
+                creature.isHostile && creature.isAlive
+            );
+            
+            if (hostileCreatures.length > 0) {
+                result += `\n\n<span class="danger-text">The ${hostileCreatures[0].name} attacks! You must defend yourself!</span>\n` +
+                    this.creatureAttack(hostileCreatures[0]);
+            }
+        }
+        
+        this.updateJournal();
+        this.checkGameConditions();
+        return this.endResult(result);
+    }
+    
+    // Replay a recorded run: start a fresh game from the seed and run each command in order.
+    // Returns the new engine and the transcript, exactly as it was shown to the player.
+    static replay(seed, commands, options = {}) {
+        const engine = new GameEngine(Object.assign({}, options, {
+            seed: seed,
+            storage: options.storage || new MemoryStorage()
+        }));
+        
+        const transcript = [engine.start().text];
+        commands.forEach(command => {
+            transcript.push(`> ${command}`);
+            transcript.push(engine.processCommand(command).text);
+        });
+        
+        return { engine: engine, transcript: transcript.join('\n\n') };
+    }
+    
+    // Register a listener for an engine event ('show-image', 'close-image', 'game-over', 'win', 'state-restored',
+    // 'achievement-unlocked', 'objective-completed', 'quest-completed', 'item-taken' and the gameplay
+    // events in ACHIEVEMENT_EVENTS)
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+    
+    // Emit an event: it is added to the current command's result and passed to listeners
+    emit(type, data = {}) {
+        const event = Object.assign({ type: type }, data);
+        this.events.push(event);
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+    
+    // Add a message to the current command's result, after the command's own text
+    addMessage(message) {
+        this.messages.push(message);
+    }
+    
+    // Turn down the command being run because it can't do anything (nothing to act on, nobody there).
+    // It then takes no turn: no time passes and no creature gets a free attack. Returns the text.
+    refuse(text) {
+        this.commandRefused = true;
+        return text;
+    }
+    
+    // Get a summary of the state a renderer displays
+    getStatus() {
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        return {
+            location: this.player.currentLocation,
+            locationName: currentRoom ? currentRoom.name : 'Unknown',
+            health: this.player.health,
+            maxHealth: this.player.maxHealth,
+            level: this.player.level,
+            xp: this.player.xp,
+            nextLevelXp: LEVEL_XP[this.player.level] !== undefined ? LEVEL_XP[this.player.level] : null,
+            inventory: this.player.inventory.map(item => item.id),
+            oxygen: this.player.oxygen !== null ? Math.ceil(this.player.oxygen) : null,
+            maxOxygen: this.getOxygenSettings() ? this.getOxygenSettings().max : null,
+            clock: this.getClock(),
+            activeEvents: this.activeEvents
+                .map(active => (this.world.events || []).find(event => event.id === active.id))
+                .filter(event => event && (event.duration || 1) > 1)
+                .map(event => event.name),
+            carriedWeight: this.player.getCarriedWeight(),
+            capacity: this.getCapacity(),
+            equipment: this.player.getEquipment(),
+            statusEffects: this.player.statusEffects.map(effect => ({
+                type: effect.type,
+                name: STATUS_EFFECTS[effect.type].name,
+                icon: STATUS_EFFECTS[effect.type].icon,
+                turns: effect.turns
+            })),
+            isGameOver: this.isGameOver,
+            isWin: this.isWin,
+            ending: this.ending
+        };
+    }
+    
+    // Reset events and messages before processing a command
+    beginResult() {
+        this.events = [];
+        this.messages = [];
+        this.statusBefore = this.getStatus();
+    }
+    
+    // Build the structured result of a command: text, events and changed status fields
+    endResult(text) {
+        const status = this.getStatus();
+        const delta = {};
+        Object.keys(status).forEach(key => {
+            if (JSON.stringify(status[key]) !== JSON.stringify(this.statusBefore[key])) {
+                delta[key] = status[key];
+            }
+        });
+        
+        return {
+            text: [text].concat(this.messages).filter(Boolean).join('\n\n'),
+            events: this.events,
+            delta: delta
+        };
+    }
+    
+    // Create all rooms in the game from the world definition
+    createRooms() {
+        this.world.rooms.forEach(definition => {
+            const room = new Room(definition.id, definition.name, definition.description, definition.image);
+            room.isDark = !!definition.dark;
+            room.darkDescription = definition.darkDescription || null;
+            room.features = definition.features || [];
+            room.note = definition.note || null;
+            if (definition.xp !== undefined) room.xp = definition.xp;
+            room.nightDescription = definition.nightDescription || null;
+            room.oxygen = definition.oxygen || 0;
+            Object.keys(definition.exits || {}).forEach(direction => {
+                room.exits[direction] = normalizeExit(definition.exits[direction]);
+            });
+            this.rooms[room.id] = room;
+        });
+    }
+    
+    // Create all items in the game from the world definition
+    createItems() {
+        this.items = {};
+        this.world.items.forEach(definition => {
+            // Limited uses are scaled by difficulty (every item keeps at least one use)
+            const maxUses = definition.maxUses !== undefined && definition.maxUses !== null
+                ? Math.max(1, Math.round(definition.maxUses * this.getDifficulty().itemUses))
+                : null;
+            const item = new Item(
+                definition.id,
+                definition.name,
+                definition.description,
+                !!definition.isUsable,
+                !!definition.isEquippable,
+                maxUses
+            );
+            item.effect = definition.effect || null;
+            item.slot = definition.slot || null;
+            item.stats = Object.assign({}, definition.stats);
+            item.details = definition.details || null;
+            item.read = definition.read || null;
+            item.inflicts = scaleStatus(definition.inflicts, this.getDifficulty().playerDamage);
+            if (definition.weight !== undefined) item.weight = definition.weight;
+            
+            // Light sources: { battery, drainPerTurn }
+            if (definition.light) {
+                item.isLightSource = true;
+                item.battery = definition.light.battery !== undefined ? definition.light.battery : null;
+                item.drainPerTurn = definition.light.drainPerTurn || 0;
+            }
+            
+            // Extra item state, such as the beacon's isPowered
+            Object.assign(item, definition.state);
+            this.items[item.id] = item;
+        });
+    }
+    
+    // Create all creatures in the game from the world definition
+    createCreatures() {
+        this.creatures = {};
+        const difficulty = this.getDifficulty();
+        this.world.creatures.forEach(definition => {
+            const creature = new Creature(
+                definition.id,
+                definition.name,
+                definition.description,
+                Math.max(1, Math.round(definition.health * difficulty.creatureHealth)),
+                Math.max(1, Math.round(definition.damage * difficulty.creatureDamage)),
+                definition.isHostile !== false,
+                definition.image || null
+            );
+            creature.inventory = (definition.inventory || []).map(itemId => this.items[itemId]);
+            creature.dialogue = definition.dialogue || null;
+            creature.trades = definition.trades || [];
+            creature.gifts = definition.gifts || {};
+            creature.behavior = definition.behavior || {};
+            creature.details = definition.details || null;
+            if (definition.accuracy !== undefined) creature.accuracy = definition.accuracy;
+            if (definition.criticalChance !== undefined) creature.criticalChance = definition.criticalChance;
+            creature.inflicts = scaleStatus(definition.inflicts, difficulty.creatureDamage);
+            creature.xp = definition.xp || 0;
+            this.creatures[creature.id] = creature;
+        });
+    }
+    
+    // Place items and creatures in rooms
+    placeItemsAndCreatures() {
+        this.world.rooms.forEach(definition => {
+            const room = this.rooms[definition.id];
+            (definition.items || []).forEach(itemId => room.addItem(this.items[itemId]));
+            (definition.creatures || []).forEach(creatureId => room.addCreature(this.creatures[creatureId]));
+        });
+    }
+    
+    // Get the difficulty preset of this run
+    getDifficulty() {
+        return DIFFICULTIES[this.difficulty];
+    }
+    
+    // Get the weight the player can carry in this world
+    getCapacity() {
+        return this.world.capacity !== undefined ? this.world.capacity : CARRY_CAPACITY;
+    }
+    
+    // Describe how much the player is carrying, e.g. "Load: 7/25"
+    getLoadText() {
+        return `Load: ${this.player.getCarriedWeight()}/${this.getCapacity()}`;
+    }
+    
+    // Set a world flag
+    setFlag(flag, value = true) {
+        this.flags[flag] = value;
+    }
+    
+    // Check a world flag
+    hasFlag(flag) {
+        return !!this.flags[flag];
+    }
+    
+    // Check a condition from the world definition: every listed flag set, no "notFlags" set,
+    // the player at the location and carrying every listed item
+    checkCondition(condition) {
+        if (condition.flags && !condition.flags.every(flag => this.hasFlag(flag))) {
+            return false;
+        }
+        if (condition.notFlags && condition.notFlags.some(flag => this.hasFlag(flag))) {
+            return false;
+        }
+        if (condition.location && this.player.currentLocation !== condition.location) {
+            return false;
+        }
+        if (condition.inventory && !condition.inventory.every(itemId =>
+            this.player.inventory.some(item => item.id === itemId))) {
+            return false;
+        }
+        return true;
+    }
+    
+    // Get a room by ID
+    getRoom(roomId) {
+        return this.rooms[roomId] || null;
+    }
+    
+    // Can the player see in a room? Dark rooms need a light that is switched on.
+    canSee(room) {
+        return !room.isDark || this.player.hasLight();
+    }
+    
+    // Describe a room as the player currently sees it
+    describeRoom(room) {
+        return room.getDescription(this.canSee(room), this.isNight());
+    }
+    
+    // Finish a turn: advance the turn counter and the clock, tick status effects, use up oxygen, run the
+    // world's scheduled events, drain lights that are switched on, let creatures act, note where the
+    // player is in the journal, complete quest steps and unlock the hints of the ones the player is stuck on
+    endTurn() {
+        const wasNight = this.isNight();
+        this.turn++;
+        if (this.isNight() !== wasNight) {
+            const time = this.getTimeSettings();
+            this.addMessage(`<span class="info-text">${wasNight ? time.dayText : time.nightText}</span>`);
+        }
+        this.tickStatusEffects();
+        this.breathe();
+        this.runScheduledEvents();
+        this.updateCreatures();
+        this.updateJournal();
+        this.quests.update();
+        this.quests.updateHints();
+        
+        this.player.inventory.forEach(item => {
+            if (!item.isLit || item.battery === null) return;
+            
+            item.battery = Math.max(0, item.battery - item.drainPerTurn);
+            if (item.battery === 0) {
+                item.isLit = false;
+                this.addMessage(`<span class="warning-text">Your ${item.name} flickers and dies. Its battery is empty.</span>`);
+            } else if (item.battery <= 5 && item.battery + item.drainPerTurn > 5) {
+                this.addMessage(`<span class="warning-text">Your ${item.name} is growing dim. Its battery is almost empty.</span>`);
+            }
+        });
+    }
+    
+    // Get the world's clock settings, or null for worlds without a day/night cycle
+    getTimeSettings() {
+        return this.world.time ? Object.assign({}, DEFAULT_TIME, this.world.time) : null;
+    }
+    
+    // Get the world's oxygen settings, or null for worlds where the air is fine
+    getOxygenSettings() {
+        return this.world.oxygen ? Object.assign({}, DEFAULT_OXYGEN, this.world.oxygen) : null;
+    }
+    
+    // Get the time of day after the turns played so far: { hour, minute, day, text, isNight }, or null without a clock
+    getClock() {
+        const time = this.getTimeSettings();
+        if (!time) return null;
+        
+        const minutes = time.startHour * 60 + this.turn * time.minutesPerTurn;
+        const hour = Math.floor(minutes / 60) % 24;
+        const minute = minutes % 60;
+        const isNight = time.nightStart > time.nightEnd
+            ? hour >= time.nightStart || hour < time.nightEnd
+            : hour >= time.nightStart && hour < time.nightEnd;
+        return {
+            hour: hour,
+            minute: minute,
+            day: Math.floor(minutes / (24 * 60)) + 1,
+            text: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+            isNight: isNight
+        };
+    }
+    
+    // Is it night? (Always day in worlds without a clock)
+    isNight() {
+        const clock = this.getClock();
+        return !!clock && clock.isNight;
+    }
+    
+    // Hurt the player with something other than a creature's attack (suffocation, a storm, an explosion).
+    // Armor doesn't help. The message can use {amount}.
+    damagePlayer(amount, source, message) {
+        const player = this.player;
+        const damage = Math.min(amount, player.health);
+        player.health -= damage;
+        if (player.health <= 0) {
+            player.isAlive = false;
+        }
+        this.stats.damageTaken += damage;
+        this.emit('player-damaged', { amount: damage, source: source });
+        this.addMessage(`<span class="danger-text">${formatText(message, { amount: damage })}</span>`);
+    }
+    
+    // Use up a turn's oxygen: rooms with air refill it, thin air drains it faster, and an empty tank
+    // means suffocation damage every turn
+    breathe() {
+        const settings = this.getOxygenSettings();
+        const player = this.player;
+        if (!settings || player.oxygen === null || !player.isAlive) return;
+        
+        const room = this.getRoom(player.currentLocation);
+        const refill = room ? room.oxygen : 0;
+        const change = refill > 0 ? refill : refill - settings.drainPerTurn * this.getDifficulty().oxygenDrain;
+        const before = player.oxygen;
+        player.oxygen = Math.round(Math.min(settings.max, Math.max(0, before + change)) * 100) / 100;
+        
+        const low = settings.max * LOW_OXYGEN_SHARE;
+        if (player.oxygen >= settings.max && before < settings.max) {
+            this.addMessage(`<span class="success-text">You breathe deeply. Your oxygen is full again.</span>`);
+        } else if (player.oxygen === 0 && before > 0) {
+            this.addMessage(`<span class="danger-text">Your oxygen has run out! Find air, fast.</span>`);
+        } else if (player.oxygen < low && before >= low) {
+            this.addMessage(`<span class="warning-text">Your oxygen is running low.</span>`);
+        }
+        if (player.oxygen === 0 && before === 0) {
+            this.damagePlayer(settings.suffocationDamage, 'suffocation', 'You gasp for air that isn\'t there. You take {amount} damage.');
+        }
+    }
+    
+    // Run the world's scheduled events for this turn: end those that are over, start those that are due
+    // (on their "turn", then every "every" turns, while their conditions hold) and hurt the player caught
+    // at the "location" of an event that does "damage", every turn it lasts
+    runScheduledEvents() {
+        const definitions = this.world.events || [];
+        
+        this.activeEvents = this.activeEvents.filter(active => {
+            if (this.turn < active.endsAt) return true;
+            const event = definitions.find(definition => definition.id === active.id);
+            if (event && event.endText) {
+                this.addMessage(`<span class="info-text">${event.endText}</span>`);
+            }
+            return false;
+        });
+        
+        definitions.forEach(event => {
+            const due = this.turn === event.turn ||
+                (event.every && this.turn > event.turn && (this.turn - event.turn) % event.every === 0);
+            if (!due || this.activeEvents.some(active => active.id === event.id)) return;
+            if (event.conditions && !this.achievements.checkRunCondition(event.conditions)) return;
+            
+            this.activeEvents.push({ id: event.id, endsAt: this.turn + (event.duration || 1) });
+            const messages = [event.text].concat(this.applyEffects(event.effects, null)).filter(Boolean);
+            if (messages.length > 0) {
+                this.addMessage(`<span class="warning-text">${messages.join(' ')}</span>`);
+            }
+        });
+        
+        this.activeEvents.forEach(active => {
+            const event = definitions.find(definition => definition.id === active.id);
+            if (event && event.damage && event.location === this.player.currentLocation && this.player.isAlive) {
+                this.damagePlayer(event.damage, event.id, event.localText || 'You take {amount} damage!');
+            }
+        });
+    }
+    
+    // Describe the oxygen left and the time of day for the 'status' command ('' in worlds without them)
+    getSurvivalText() {
+        const status = this.getStatus();
+        let text = '';
+        if (status.oxygen !== null) {
+            text += `\nOxygen: ${status.oxygen}/${status.maxOxygen}`;
+        }
+        if (status.clock) {
+            text += `\nTime: ${status.clock.text} on day ${status.clock.day} (${status.clock.isNight ? 'night' : 'day'})`;
+        }
+        return text;
+    }
+    
+    // Get the hostile creature the player is fighting (the first living hostile in the room), or null
+    getActiveHostile() {
+        const room = this.getRoom(this.player.currentLocation);
+        if (!room) return null;
+        return room.creatures.find(creature => creature.isHostile && creature.isAlive) || null;
+    }
+    
+    // Add an entry to the combat log
+    logCombat(text) {
+        this.combatLog.push({ turn: this.turn + 1, text: text });
+        if (this.combatLog.length > COMBAT_LOG_SIZE) {
+            this.combatLog.shift();
+        }
+    }
+    
+    // Let a creature attack the player, log the exchange and return the attack text.
+    // A stunned creature loses its attack instead.
+    creatureAttack(creature, defending = false) {
+        if (this.loseTurnToStun(creature)) {
+            this.logCombat(`The ${creature.name} is stunned.`);
+            return `The ${creature.name} is <span class="combat-highlight">stunned</span> and can't attack!`;
+        }
+        
+        const attack = creature.attack(this.player, this.rng, defending);
+        this.recordCreature(creature, { fought: true, hit: attack.damage });
+        this.stats.damageTaken += attack.damage;
+        if (attack.damage > 0) {
+            this.emit('player-damaged', { amount: attack.damage, source: creature.id });
+        }
+        if (!attack.hit) {
+            this.logCombat(`The ${creature.name} misses you.`);
+        } else {
+            this.logCombat(`The ${creature.name} ${attack.critical ? 'critically hits' : 'hits'} you for ${attack.damage}` +
+                (defending ? ' (defended).' : '.'));
+        }
+        return attack.text;
+    }
+    
+    // Take a dead creature out of its room, count the kill and drop whatever it carried.
+    // Returns the text about the dropped items ('' when it carried nothing). The caller emits
+    // 'creature-killed' once the death has been reported.
+    defeatCreature(creature, room) {
+        this.stats.kills++;
+        room.removeCreature(creature.id);
+        
+        if (creature.inventory.length === 0) return '';
+        creature.inventory.forEach(item => room.addItem(item));
+        const text = `It drops: ${creature.inventory.map(item => item.name).join(', ')}.`;
+        creature.inventory = [];
+        return text;
+    }
+    
+    // Give the player experience. Each level reached raises max health, damage or accuracy in turn
+    // (see LEVEL_REWARDS); a bigger max health comes with the same amount of healing.
+    gainXp(amount, reason) {
+        const player = this.player;
+        if (!amount || amount <= 0 || !player.isAlive) return;
+        
+        player.xp += amount;
+        this.addMessage(`<span class="info-text">+${amount} XP (${reason})</span>`);
+        
+        while (player.level < LEVEL_XP.length && player.xp >= LEVEL_XP[player.level]) {
+            player.level++;
+            const reward = LEVEL_REWARDS[(player.level - 2) % LEVEL_REWARDS.length];
+            if (reward.maxHealth) {
+                player.maxHealth += reward.maxHealth;
+                player.health += reward.maxHealth;
+            }
+            if (reward.damageBonus) {
+                player.damageBonus += reward.damageBonus;
+            }
+            if (reward.accuracy) {
+                player.accuracy = Math.round((player.accuracy + reward.accuracy) * 100) / 100;
+            }
+            this.emit('level-up', { level: player.level });
+            this.addMessage(`<span class="success-text">⭐ Level up! You are now level ${player.level}. ${reward.text}</span>`);
+        }
+    }
+    
+    // Describe the player's level, experience and combat stats for the 'stats' command
+    getStatsText() {
+        const player = this.player;
+        const nextLevelXp = LEVEL_XP[player.level];
+        const weapon = player.equipment.weapon;
+        const weaponDamage = player.getEquipmentBonus('damageBonus');
+        const weaponAim = player.getEquipmentBonus('hitChance');
+        const armor = player.getEquipmentBonus('damageReduction');
+        
+        const lines = [
+            `Level: ${player.level}`,
+            `Experience: ${player.xp} XP` + (nextLevelXp !== undefined
+                ? ` (${nextLevelXp - player.xp} more for level ${player.level + 1})`
+                : ' (top level)'),
+            `Max health: ${player.maxHealth}`,
+            `Damage: 5-19` + (player.damageBonus ? ` +${player.damageBonus} from levels` : '') +
+                (weaponDamage ? ` +${weaponDamage} from your ${weapon.name}` : ''),
+            `Hit chance: ${Math.round(player.accuracy * 100)}%` +
+                (weaponAim ? ` +${Math.round(weaponAim * 100)}% from your ${weapon.name}` : ''),
+            `Damage taken: -${armor} from armor`
+        ];
+        return `=== STATS ===\n${lines.join('\n')}`;
+    }
+    
+    // Use up one turn of a stun on the player or a creature. Returns false if the target isn't stunned.
+    loseTurnToStun(target) {
+        const stun = target.statusEffects.find(effect => effect.type === 'stun');
+        if (!stun) return false;
+        
+        stun.turns--;
+        if (stun.turns <= 0) {
+            target.statusEffects.splice(target.statusEffects.indexOf(stun), 1);
+        }
+        return true;
+    }
+    
+    // Tick the status effects on the player and every creature at the end of a turn: damage over time and
+    // regeneration, then one turn less to run (stuns only wear off by taking turns away). Armor doesn't
+    // help against damage over time. Creatures are only reported when they're in the player's room.
+    tickStatusEffects() {
+        const player = this.player;
+        player.statusEffects = player.statusEffects.filter(status => {
+            const definition = STATUS_EFFECTS[status.type];
+            if (definition.health === 0 || !player.isAlive) return true;
+            
+            if (definition.health < 0) {
+                const damage = Math.min(status.amount, player.health);
+                player.health -= damage;
+                if (player.health <= 0) {
+                    player.isAlive = false;
+                }
+                this.stats.damageTaken += damage;
+                this.emit('player-damaged', { amount: damage, source: status.type });
+                this.addMessage(`<span class="danger-text">${formatText(definition.playerTick, { amount: damage })}</span>`);
+            } else {
+                const healing = Math.min(status.amount, player.maxHealth - player.health);
+                player.health += healing;
+                if (healing > 0) {
+                    this.emit('player-healed', { amount: healing });
+                    this.addMessage(`<span class="success-text">${formatText(definition.playerTick, { amount: healing })}</span>`);
+                }
+            }
+            
+            status.turns--;
+            if (status.turns > 0 || !player.isAlive) return true;
+            this.addMessage(`<span class="info-text">${definition.playerEnd}</span>`);
+            return false;
+        });
+        
+        Object.values(this.rooms).forEach(room => {
+            room.creatures.slice().forEach(creature => {
+                const seen = room.id === player.currentLocation;
+                creature.statusEffects = creature.statusEffects.filter(status => {
+                    const definition = STATUS_EFFECTS[status.type];
+                    if (definition.health === 0 || !creature.isAlive) return true;
+                    
+                    const amount = definition.health < 0
+                        ? Math.min(status.amount, creature.health)
+                        : Math.min(status.amount, creature.maxHealth - creature.health);
+                    let message = formatText(definition.creatureTick, { name: creature.name, amount: amount });
+                    const died = definition.health < 0 && creature.takeDamage(amount);
+                    if (definition.health < 0) {
+                        this.stats.damageDealt += amount;
+                    } else {
+                        creature.health += amount;
+                    }
+                    if (died) {
+                        this.recordCreature(creature, { defeated: true });
+                        this.logCombat(`The ${creature.name} succumbs to its ${definition.name.toLowerCase()}.`);
+                        const drops = this.defeatCreature(creature, room);
+                        message += ` The ${creature.name} is <span class="combat-highlight">dead</span>!${drops ? ` ${drops}` : ''}`;
+                    }
+                    if (seen && amount > 0) {
+                        this.addMessage(`<span class="info-text">${message}</span>`);
+                    }
+                    if (died) {
+                        this.emit('creature-killed', { creature: creature.id });
+                        this.gainXp(creature.xp, `defeated the ${creature.name}`);
+                    }
+                    
+                    status.turns--;
+                    return status.turns > 0;
+                });
+            });
+        });
+    }
+    
+    // Roll initiative on entering a room with hostiles: either the player acts first or the creature strikes at once
+    rollInitiative() {
+        const creature = this.getActiveHostile();
+        if (this.rng.next() < (this.isNight() ? NIGHT_INITIATIVE_CHANCE : PLAYER_INITIATIVE_CHANCE)) {
+            this.logCombat(`You have the initiative against the ${creature.name}.`);
+            return `<span class="info-text">You spot the ${creature.name} before it notices you. You have the initiative!</span>`;
+        }
+        
+        this.logCombat(`The ${creature.name} has the initiative.`);
+        return `<span class="danger-text">The ${creature.name} is too quick for you!</span>\n${this.creatureAttack(creature)}`;
+    }
+    
+    // Get the exits a creature can take out of a room: visible, unlocked and inside its territory
+    getCreatureExits(creature, room) {
+        return room.getExits().filter(direction => {
+            const exit = room.exits[direction];
+            return !exit.locked && this.rooms[exit.to] && creature.canEnter(exit.to);
+        });
+    }
+    
+    // Move a creature through an exit. Returns a message when the player sees it leave or arrive.
+    moveCreature(creature, fromRoom, direction) {
+        const toRoom = this.rooms[fromRoom.exits[direction].to];
+        fromRoom.removeCreature(creature.id);
+        toRoom.addCreature(creature);
+        
+        if (fromRoom.id === this.player.currentLocation) {
+            return `The ${creature.name} leaves ${direction}.`;
+        }
+        if (toRoom.id !== this.player.currentLocation) {
+            return '';
+        }
+        
+        // Hostile arrivals interrupt whatever the player was doing
+        const from = toRoom.getExits().find(direction => toRoom.exits[direction].to === fromRoom.id);
+        const arrival = `The ${creature.name} ${creature.isHostile ? 'bursts in' : 'wanders in'}${from ? ` from the ${from}` : ''}!`;
+        if (creature.isHostile && creature.image) {
+            this.emit('show-image', {
+                src: creature.image,
+                alt: `${creature.name} - ${creature.description}`
+            });
+        }
+        return arrival;
+    }
+    
+    // Make a badly hurt creature run from the player's room through a random exit.
+    // Returns the message, or null if the creature is cornered.
+    fleeCreature(creature, room) {
+        const directions = this.getCreatureExits(creature, room);
+        if (directions.length === 0) return null;
+        
+        const direction = directions[this.rng.int(0, directions.length - 1)];
+        this.moveCreature(creature, room, direction);
+        creature.recoveringTurns = CREATURE_RECOVERY_TURNS;
+        this.logCombat(`The ${creature.name} flees ${direction}.`);
+        return `The wounded ${creature.name} flees ${direction}!`;
+    }
+    
+    // Let every creature outside the player's room act: pursue the player, roam, or stay and guard
+    updateCreatures() {
+        const playerRoom = this.getRoom(this.player.currentLocation);
+        
+        // Collect creatures first so that each one acts at most once per turn
+        const actors = [];
+        Object.values(this.rooms).forEach(room => {
+            room.creatures.forEach(creature => actors.push({ creature: creature, room: room }));
+        });
+        
+        actors.forEach(({ creature, room }) => {
+            if (!creature.isAlive) return;
+            
+            // Creatures with the player stay to fight (or to talk) and remember them
+            if (room === playerRoom) {
+                creature.isAlerted = true;
+                return;
+            }
+            if (creature.recoveringTurns > 0) {
+                creature.recoveringTurns--;
+                return;
+            }
+            
+            // Guards never leave what they guard
+            const behavior = creature.behavior;
+            if (behavior.guards && room.getItem(behavior.guards)) return;
+            
+            const directions = this.getCreatureExits(creature, room);
+            if (directions.length === 0) return;
+            
+            // Hunters that have met the player follow them into an adjacent room
+            const towardPlayer = directions.find(direction => room.exits[direction].to === playerRoom.id);
+            const pursue = (behavior.pursue || 0) * (this.isNight() ? NIGHT_PURSUE_FACTOR : 1);
+            if (pursue && creature.isHostile && creature.isAlerted && towardPlayer && this.rng.next() < pursue) {
+                this.addMessage(`<span class="danger-text">${this.moveCreature(creature, room, towardPlayer)}</span>`);
+                return;
+            }
+            
+            if (behavior.roam && this.rng.next() < behavior.roam) {
+                const direction = directions[this.rng.int(0, directions.length - 1)];
+                const message = this.moveCreature(creature, room, direction);
+                if (message) {
+                    this.addMessage(`<span class="${creature.isHostile ? 'danger-text' : 'info-text'}">${message}</span>`);
+                }
+            }
+        });
+    }
+    
+    // Process player commands and return a structured result ({ text, events, delta })
+    processCommand(command) {
+        this.beginResult();
+        const result = this.handleInput(command);
+        return this.endResult(result);
+    }
+    
+    // Handle one line of player input, which may chain several commands
+    handleInput(input) {
+        const parts = input.trim().toLowerCase().split(' ');
+        const action = parts[0];
+        const target = parts.slice(1).join(' ');
+        
+        // Save and replay commands work at any time, even after the game is over or mid-fight.
+        // They aren't recorded in the command log because they don't change the run.
+        if (['save', 'load', 'saves', 'delete'].includes(action)) {
+            return this.processSaveCommand(action, target);
+        }
+        if (action === 'seed' || action === 'replay') {
+            return this.processReplayCommand(action, target);
+        }
+        if (action === 'undo' || action === 'redo') {
+            return this.processUndoCommand(action);
+        }
+        
+        // Achievements and the leaderboard are records kept across games, not part of the run. Looking at
+        // them isn't recorded either, so a replay never shows what was stored on someone else's device.
+        const chain = this.parser.splitChain(input);
+        const verb = chain.length === 1 ? this.parser.parse(chain[0]).verb : null;
+        if (!this.pendingQuestion && (verb === 'achievements' || verb === 'leaderboard')) {
+            return verb === 'achievements' ? this.achievements.getText() : this.getLeaderboardText();
+        }
+        
+        // Remember the state before the command. If the command takes a turn it can be undone.
+        const before = this.canRecordUndo() ? JSON.stringify(this.serializeState()) : null;
+        const turn = this.turn;
+        const result = this.playInput(input);
+        if (before && this.turn !== turn) {
+            this.undoStack.push({ command: input.trim(), state: before });
+            if (this.undoStack.length > this.undoDepth) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        }
+        return result;
+    }
+    
+    // Play one line of game input (anything but save, replay and undo commands)
+    playInput(input) {
+        this.commandLog.push(input.trim());
+        
+        // After the game ends, only free actions (inventory, map, leaderboard, ...) still work
+        if (this.isGameOver && !FREE_ACTIONS.includes(this.parser.parse(input).verb)) {
+            return `The game is over. Start a new game to play again, or 'load' a saved game${this.canUndo() ? " or 'undo' your last move" : ''}.`;
+        }
+        
+        // Mark that player has made their first move
+        if (!this.hasPlayerMoved) {
+            this.hasPlayerMoved = true;
+        }
+        
+        // An answer to "which one?" finishes the command that asked it
+        if (this.pendingQuestion) {
+            const question = this.pendingQuestion;
+            this.pendingQuestion = null;
+            const answer = this.answerQuestion(question, input);
+            if (answer) {
+                const command = Object.assign({}, question.command, { [question.slot]: answer });
+                return this.runCommands([command].concat(question.rest));
+            }
+        }
+        
+        // Parse each chained command; "take knife and medkit" becomes one command per noun,
+        // and a chained part without a verb reuses the previous one ("take knife, medkit")
+        const commands = [];
+        let previousVerb = null;
+        this.parser.splitChain(input).forEach(text => {
+            const firstWord = text.toLowerCase().split(/\s+/)[0];
+            if (previousVerb && !this.parser.isKnownVerb(firstWord) && !/^\d+$/.test(firstWord)) {
+                text = `${previousVerb} ${text}`;
+            }
+            const parsed = this.parser.parse(text);
+            parsed.text = text;
+            parsed.noun.split(' and ').forEach(noun => {
+                commands.push(Object.assign({}, parsed, { noun: noun.trim() }));
+            });
+            previousVerb = parsed.verb;
+        });
+        
+        return this.runCommands(commands);
+    }
+    
+    // Run parsed commands in order. Stops early when the game ends, a question is asked
+    // or a fight breaks out, so the rest of the chain doesn't run blindly.
+    runCommands(commands) {
+        const results = [];
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+            const wasFighting = !!this.getActiveHostile();
+            
+            const resolved = this.resolveCommand(command);
+            if (resolved.question) {
+                this.pendingQuestion = Object.assign(resolved.question, { rest: commands.slice(i + 1) });
+                results.push(resolved.text);
+                break;
+            }
+            results.push(this.executeCommand(resolved.verb, resolved.noun, resolved.indirect, command.text));
+            
+            const remaining = commands.slice(i + 1);
+            if (remaining.length > 0 && (this.isGameOver || (!wasFighting && this.getActiveHostile()))) {
+                results.push(`<span class="info-text">(You stop before: ${remaining.map(c => c.text).join(', ')})</span>`);
+                break;
+            }
+        }
+        return results.join('\n\n');
+    }
+    
+    // Get the things a noun can refer to for a verb: room items to take, carried items to use,
+    // creatures to attack or talk to. Returns null when the noun is passed on as typed.
+    getNounCandidates(verb, slot) {
+        const room = this.getRoom(this.player.currentLocation);
+        if (!room) return null;
+        const creatures = room.creatures.filter(creature => creature.isAlive);
+        
+        if (slot === 'indirect') {
+            if (verb === 'give') return creatures;
+            if (verb === 'use') return this.getUseTargets();
+            if (verb === 'combine') return this.player.inventory;
+            return null;
+        }
+        switch (verb) {
+            case 'take':
+                return this.canSee(room) ? room.items : [];
+            case 'use':
+            case 'combine':
+            case 'equip':
+            case 'give':
+            case 'drop':
+                return this.player.inventory;
+            case 'unequip':
+                return this.player.inventory.filter(item => item.isEquippable);
+            case 'attack':
+            case 'talk':
+                return creatures;
+            case 'examine':
+                return this.getUseTargets();
+            case 'read':
+                return this.getUseTargets().filter(thing => thing.read);
+            default:
+                return null;
+        }
+    }
+    
+    // Resolve the nouns of a parsed command to names the command handlers know.
+    // Returns { verb, noun, indirect }, or { question, text } when a noun is ambiguous.
+    resolveCommand(command) {
+        const resolved = { verb: command.verb, noun: command.noun, indirect: command.indirect };
+        
+        for (const slot of ['noun', 'indirect']) {
+            const candidates = resolved[slot] ? this.getNounCandidates(command.verb, slot) : null;
+            if (!candidates) continue;
+            
+            // Equipment slot names ("unequip weapon") are passed on as typed
+            if (command.verb === 'unequip' && EQUIPMENT_SLOTS.includes(resolved[slot])) continue;
+            
+            const matches = this.parser.matchNames(resolved[slot], candidates);
+            if (matches.length === 1) {
+                resolved[slot] = matches[0].name.toLowerCase();
+            } else if (matches.length > 1) {
+                const names = matches.map(match => `the ${match.name}`);
+                const list = names.length === 2 ? names.join(' or ') : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+                return {
+                    question: {
+                        command: Object.assign({}, command, resolved),
+                        slot: slot,
+                        options: matches.map(match => ({ id: match.id, name: match.name }))
+                    },
+                    text: `Which one do you mean: ${list}?`
+                };
+            }
+        }
+        return resolved;
+    }
+    
+    // Match an answer to a "which one?" question: a number or (part of) one of the offered names.
+    // Returns the chosen name, or null if the input isn't an answer (it then runs as a new command).
+    answerQuestion(question, input) {
+        const answer = input.trim().toLowerCase().split(/\s+/)
+            .filter(word => !STOP_WORDS.includes(word) && word !== 'one').join(' ');
+        
+        if (/^\d+$/.test(answer)) {
+            const option = question.options[Number(answer) - 1];
+            return option ? option.name.toLowerCase() : null;
+        }
+        const matches = this.parser.matchNames(answer, question.options);
+        return matches.length === 1 ? matches[0].name.toLowerCase() : null;
+    }
+    
+    // Run a single parsed command and return its text
+    executeCommand(action, target, indirect, command) {
+        // During a conversation a number picks an answer; any other command ends the conversation
+        if (this.conversation && /^\d+$/.test(action)) {
+            target = action;
+            action = 'say';
+        } else if (this.conversation && !['say', 'talk'].includes(action)) {
+            this.conversation = null;
+        }
+        
+        let result = '';
+        // Does this command use up a turn? (Free actions and commands the parser doesn't know don't,
+        // and neither do commands that are refused; see refuse())
+        let takesTurn = !FREE_ACTIONS.includes(action) && VERB_SYNONYMS.hasOwnProperty(action);
+        this.commandRefused = false;
+        
+        // Check for hostile creatures in current room for non-combat actions
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        const hostileCreatures = currentRoom ? currentRoom.creatures.filter(creature =>
+            creature.isHostile && creature.isAlive
+        ) : [];
+        
+        // A stunned player loses the turn: the command doesn't happen, and a creature in the room gets a free attack
+        if (takesTurn && this.loseTurnToStun(this.player)) {
+            result = `<span class="danger-text">You're stunned and can't act!</span>`;
+            if (hostileCreatures.length > 0) {
+                this.logCombat('You are stunned and lose your turn.');
+                result += '\n' + this.creatureAttack(hostileCreatures[0]);
+            }
+            if (!this.player.statusEffects.some(effect => effect.type === 'stun')) {
+                result += `\n<span class="info-text">${STATUS_EFFECTS.stun.playerEnd}</span>`;
+            }
+            
+            this.endTurn();
+            this.checkGameConditions();
+            return result;
+        }
+        
+        // In a fight, only combat actions (and free actions that take no time) are allowed;
+        // anything else gives the creature a free attack
+        if (hostileCreatures.length > 0 && !COMBAT_ACTIONS.includes(action) && takesTurn) {
+            const attackingCreature = hostileCreatures[0];
+            const blocked = BLOCKED_ACTION_PHRASES[action] || 'do that';
+            this.logCombat(`You try to ${blocked} mid-fight.`);
+            result = `<span class="danger-text">The ${attackingCreature.name} won't let you ${blocked}! Attack, defend, flee or use an item.</span>\n` +
+                this.creatureAttack(attackingCreature);
+            
+            this.endTurn();
+            this.checkGameConditions();
+            return result;
+        }
+        
+        switch (action) {
+            case 'go':
+                if (!target) {
+                    result = this.refuse("Go where? Specify a direction (north, south, east, west).");
+                } else if (!DIRECTIONS.includes(target) && this.findKnownRoom(target)) {
+                    // "go to crash site" walks there one move at a time; each move is its own turn
+                    result = this.travelTo(target);
+                    takesTurn = false;
+                } else {
+                    result = this.player.move(target, this);
+                }
+                break;
+                
+            case 'look':
+                result = currentRoom ? this.describeRoom(currentRoom) : "You're in an unknown location.";
+                
+                // Show the room image
+                if (currentRoom) {
+                    this.emit('show-image', { src: currentRoom.image, alt: currentRoom.name });
+                }
+                break;
+                
+            case 'search':
+                if (currentRoom && !this.canSee(currentRoom)) {
+                    result = `<span class="warning-text">It's too dark to search here. You need a light.</span>`;
+                } else if (currentRoom) {
+                    const discoveries = currentRoom.search();
+                    result = discoveries.length > 0
+                        ? `<span class="success-text">${discoveries.join(' ')}</span>`
+                        : "You search the area but find nothing new.";
+                }
+                break;
+                
+            case 'examine':
+                result = target ? this.examineThing(target) : "Examine what? Specify an item, creature or feature.";
+                break;
+                
+            case 'read':
+                result = target ? this.readThing(target) : this.refuse("Read what? Specify an item name.");
+                break;
+                
+            case 'unlock':
+                if (!target) {
+                    result = this.refuse("Unlock which way? Specify a direction.");
+                } else {
+                    result = this.player.unlock(target, this);
+                }
+                break;
+                
+            case 'take':
+                if (!target) {
+                    result = this.refuse("Take what? Specify an item name.");
+                } else {
+                    result = target === 'all' ? this.player.takeAll(this) : this.player.take(target, this);
+                }
+                break;
+                
+            case 'drop':
+                if (!target) {
+                    result = this.refuse("Drop what? Specify an item name.");
+                } else {
+                    result = target === 'all' ? this.player.dropAll(this) : this.player.drop(target, this);
+                }
+                break;
+                
+            case 'use':
+                if (!target) {
+                    result = this.refuse("Use what? Specify an item name.");
+                } else {
+                    // "use X on Y" and items that only work on something else go through the recipe table
+                    const usedItem = this.player.getItem(target);
+                    if (indirect || (usedItem && !usedItem.isUsable && this.getRecipesFor(usedItem).length > 0)) {
+                        result = this.useItemOn(target, indirect);
+                    } else if (usedItem && !usedItem.isUsable && usedItem.read) {
+                        result = this.readThing(target);
+                    } else {
+                        result = this.player.use(target, this, this.parser.parseSwitch(command));
+                    }
+                    
+                    // Using an item is a legal combat turn, but the creature gets its attack in
+                    const opponent = this.getActiveHostile();
+                    if (opponent && !this.commandRefused) {
+                        this.logCombat(`You use the ${usedItem ? usedItem.name : target}.`);
+                        result += '\n' + this.creatureAttack(opponent);
+                    }
+                }
+                break;
+                
+            case 'combine':
+                if (!target || !indirect) {
+                    result = this.refuse("Combine what? Use 'combine [item] with [item]'.");
+                } else {
+                    result = this.combineItems(target, indirect);
+                }
+                break;
+                
+            case 'attack':
+                // In a fight, a bare 'attack' hits the creature you're fighting
+                if (!target && hostileCreatures.length > 0) {
+                    target = hostileCreatures[0].name.toLowerCase();
+                }
+                if (!target) {
+                    result = this.refuse("Attack what? Specify a creature name.");
+                } else {
+                    result = this.player.attack(target, this);
+                }
+                break;
+                
+            case 'defend':
+                result = this.player.defend(this);
+                break;
+                
+            case 'flee':
+                result = this.player.flee(this);
+                break;
+                
+            case 'talk':
+                result = this.talkTo(target);
+                break;
+                
+            case 'say':
+                if (!target) {
+                    result = this.refuse("Say what? Type the number of an answer.");
+                } else {
+                    result = this.chooseDialogueOption(Number(target));
+                }
+                break;
+                
+            case 'give':
+                // give [item] to [creature]
+                if (!target) {
+                    result = this.refuse("Give what? Use 'give [item] to [creature]'.");
+                } else {
+                    result = this.giveItem(target, indirect);
+                }
+                break;
+                
+            case 'trade':
+                result = this.trade(target);
+                break;
+                
+            case 'equip':
+                if (!target) {
+                    result = this.refuse("Equip what? Specify an item name.");
+                } else {
+                    result = this.player.equip(target);
+                }
+                break;
+                
+            case 'unequip':
+                if (!target) {
+                    result = this.refuse("Unequip what? Specify an item name or slot (weapon, armor).");
+                } else {
+                    result = this.player.unequip(target);
+                }
+                break;
+                
+            case 'equipment':
+                result = "Equipment: " + this.player.getEquipment();
+                break;
+                
+            case 'inventory':
+                result = "Inventory: " + this.player.getInventory() + "\n" + this.getLoadText();
+                break;
+                
+            case 'stats':
+                result = this.getStatsText();
+                break;
+                
+            case 'status':
+                result = `Status: ${this.player.checkStatus()} (Difficulty: ${this.getDifficulty().name})` + this.getSurvivalText();
+                break;
+                
+            case 'journal':
+                result = this.getJournalText();
+                break;
+                
+            case 'map':
+                result = this.getMapText();
+                break;
+                
+            case 'leaderboard':
+                result = this.getLeaderboardText();
+                break;
+                
+            case 'achievements':
+                result = this.achievements.getText();
+                break;
+                
+            case 'objectives':
+                result = this.quests.getText();
+                break;
+                
+            case 'help':
+                result = this.getHelpText();
+                break;
+                
+            default:
+                result = `I don't understand '${command}'. Type 'help' for available commands.`;
+                takesTurn = false;
+        }
+        if (this.commandRefused) {
+            takesTurn = false;
+        }
+        
+        // Whatever the command changed can complete a quest step; turns check at their end, after the
+        // world's scheduled events
+        if (takesTurn) {
+            this.endTurn();
+        } else {
+            this.quests.update();
+        }
+        
+        // Check win/lose conditions after processing command
+        this.checkGameConditions();
+        
+        return result;
+    }
+    
+    // Handle seed and replay commands. The replay line carries the rules of the run (difficulty, hardcore)
+    // along with the seed and the command log.
+    processReplayCommand(action, target) {
+        const rules = (difficulty, hardcore) => `${DIFFICULTIES[difficulty].name}${hardcore ? ', hardcore' : ''}`;
+        if (action === 'seed') {
+            let result = `Seed: ${this.rng.seed} (${rules(this.difficulty, this.hardcore)})`;
+            if (this.commandLog.length > 0) {
+                result += `\n\nTo reproduce this run, attach this line to your bug report:\n` +
+                    `replay ${this.rng.seed} ${this.difficulty}${this.hardcore ? ' hardcore' : ''} ${this.commandLog.join('; ')}`;
+            }
+            return result;
+        }
+        
+        // Without arguments, replay the current run; otherwise 'replay [seed] [difficulty] [hardcore] [command]; ...'
+        // (a line without a difficulty is replayed on Normal)
+        let seed = this.rng.seed;
+        let difficulty = this.difficulty;
+        let hardcore = this.hardcore;
+        let commands = this.commandLog;
+        if (target) {
+            const match = target.match(new RegExp(`^(\\d+)\\s*(?:(${Object.keys(DIFFICULTIES).join('|')})\\b\\s*)?(hardcore\\b\\s*)?(.*)$`));
+            if (!match) {
+                return "Replay what? Use 'replay [seed] [difficulty] [hardcore] [command]; [command]; ...'.";
+            }
+            seed = Number(match[1]);
+            difficulty = match[2] || DEFAULT_DIFFICULTY;
+            hardcore = !!match[3];
+            commands = match[4].split(';').map(c => c.trim()).filter(Boolean);
+        }
+        
+        const replay = GameEngine.replay(seed, commands, { world: this.world, difficulty: difficulty, hardcore: hardcore });
+        return `<span class="info-text">=== REPLAY OF SEED ${seed} ON ${rules(difficulty, hardcore).toUpperCase()} (${commands.length} command${commands.length !== 1 ? 's' : ''}) ===</span>\n\n${replay.transcript}\n\n<span class="info-text">=== END OF REPLAY ===</span>`;
+    }
+    
+    // Handle save, load, saves and delete save commands (ironman runs can only list and delete saves)
+    processSaveCommand(action, target) {
+        if (this.getDifficulty().ironman && (action === 'save' || action === 'load')) {
+            return `<span class="warning-text">Ironman runs can't be saved or loaded. Every choice is final.</span>`;
+        }
+        
+        switch (action) {
+            case 'save':
+                return this.saveGame(target);
+                
+            case 'load':
+                return this.loadGame(target);
+                
+            case 'saves':
+                return this.listSaves();
+                
+            case 'delete': {
+                const parts = target.split(' ');
+                if (parts[0] !== 'save') {
+                    return "Delete what? Use 'delete save [slot]'.";
+                }
+                return this.deleteSave(parts.slice(1).join(' '));
+            }
+        }
+    }
+    
+    // Can commands be undone in this run? Hardcore runs and an undo depth of 0 turn undo off.
+    canRecordUndo() {
+        return !this.hardcore && !this.getDifficulty().ironman && this.undoDepth > 0;
+    }
+    
+    // Is there a command to undo? (A won game is final.)
+    canUndo() {
+        return this.canRecordUndo() && !this.isWin && this.undoStack.length > 0;
+    }
+    
+    // Is there an undone command to redo?
+    canRedo() {
+        return this.canRecordUndo() && !this.isWin && this.redoStack.length > 0;
+    }
+    
+    // Handle undo and redo: swap the current state with the one before (or after) the last command.
+    // The snapshot includes the RNG position, so a redone command plays out exactly as before.
+    processUndoCommand(action) {
+        if (!this.canRecordUndo()) {
+            const reason = this.getDifficulty().ironman ? 'There is no undo in an ironman run.'
+                : this.hardcore ? 'There is no undo in a hardcore run.' : 'Undo is turned off.';
+            return `<span class="warning-text">${reason}</span>`;
+        }
+        
+        // A win is on the leaderboard already, so it can't be taken back
+        if (this.isWin) {
+            return "You've already won! Start a new game to play again.";
+        }
+        
+        const from = action === 'undo' ? this.undoStack : this.redoStack;
+        const to = action === 'undo' ? this.redoStack : this.undoStack;
+        if (from.length === 0) {
+            return action === 'undo' ? 'There is nothing to undo.' : 'There is nothing to redo.';
+        }
+        
+        const step = from.pop();
+        to.push({ command: step.command, state: JSON.stringify(this.serializeState()) });
+        
+        // Undo turns back the game, not the clock
+        const elapsedMs = this.getElapsedMs();
+        this.restoreState(JSON.parse(step.state));
+        this.stats.elapsedMs = elapsedMs;
+        this.pendingQuestion = null;
+        
+        this.emit('close-image');
+        this.emit('state-restored');
+        
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        let result = action === 'undo'
+            ? `<span class="success-text">Undone: '${step.command}'.</span> (${from.length} more to undo)`
+            : `<span class="success-text">Redone: '${step.command}'.</span> (${from.length} more to redo)`;
+        if (currentRoom) {
+            result += `\n\n${this.describeRoom(currentRoom)}`;
+        }
+        return result;
+    }
+    
+    // Normalize a slot name, returning null if it isn't valid
+    getSlotName(slot) {
+        const name = (slot || DEFAULT_SAVE_SLOT).trim().toLowerCase();
+        return /^[a-z0-9_-]{1,24}$/.test(name) ? name : null;
+    }
+    
+    // Capture the whole world as a versioned snapshot
+    serializeState() {
+        const rooms = {};
+        Object.values(this.rooms).forEach(room => {
+            rooms[room.id] = room.serialize();
+        });
+        
+        const items = {};
+        Object.values(this.items).forEach(item => {
+            items[item.id] = item.serialize();
+        });
+        
+        const creatures = {};
+        Object.values(this.creatures).forEach(creature => {
+            creatures[creature.id] = creature.serialize();
+        });
+        
+        return {
+            version: SAVE_VERSION,
+            world: this.world.id,
+            flags: Object.assign({}, this.flags),
+            rng: this.rng.serialize(),
+            commandLog: this.commandLog.slice(),
+            turn: this.turn,
+            activeEvents: this.activeEvents.map(event => Object.assign({}, event)),
+            conversation: this.conversation,
+            combatLog: this.combatLog,
+            journal: this.journal,
+            difficulty: this.difficulty,
+            hardcore: this.hardcore,
+            stats: Object.assign({}, this.stats, { elapsedMs: this.getElapsedMs() }),
+            achievements: this.achievements.serialize(),
+            quests: this.quests.serialize(),
+            player: this.player.serialize(),
+            rooms: rooms,
+            items: items,
+            creatures: creatures,
+            isGameOver: this.isGameOver,
+            isWin: this.isWin,
+            ending: this.ending
+        };
+    }
+    
+    // Rebuild the world from a snapshot created by serializeState()
+    restoreState(saved) {
+        const snapshot = migrateSnapshot(saved);
+        if (snapshot.world && snapshot.world !== this.world.id) {
+            throw new Error(`This save belongs to a different world ('${snapshot.world}')`);
+        }
+        
+        // Recreate the world from scratch so every item gets its use function back,
+        // then overwrite the mutable state with what was saved. Creature damage comes from the
+        // difficulty, so that is restored first.
+        this.difficulty = DIFFICULTIES[snapshot.difficulty] ? snapshot.difficulty : DEFAULT_DIFFICULTY;
+        this.rooms = {};
+        this.createRooms();
+        this.createItems();
+        this.createCreatures();
+        
+        Object.values(this.items).forEach(item => {
+            if (snapshot.items[item.id]) {
+                item.restore(snapshot.items[item.id]);
+            }
+        });
+        
+        Object.values(this.creatures).forEach(creature => {
+            if (snapshot.creatures[creature.id]) {
+                creature.restore(snapshot.creatures[creature.id], this.items);
+            }
+        });
+        
+        Object.values(this.rooms).forEach(room => {
+            if (snapshot.rooms[room.id]) {
+                room.restore(snapshot.rooms[room.id], this.items, this.creatures);
+            }
+        });
+        
+        this.player = new Player(snapshot.player.currentLocation);
+        this.player.restore(snapshot.player, this.items);
+        if (this.player.oxygen === null && this.getOxygenSettings()) {
+            this.player.oxygen = this.getOxygenSettings().max;
+        }
+        
+        this.isGameOver = snapshot.isGameOver;
+        this.isWin = snapshot.isWin;
+        this.ending = snapshot.ending;
+        this.flags = Object.assign({}, snapshot.flags);
+        
+        // Saves migrated from version 1 may have no RNG position: keep the current one
+        if (snapshot.rng) {
+            this.rng.restore(snapshot.rng);
+        }
+        this.commandLog = snapshot.commandLog.slice();
+        this.turn = snapshot.turn;
+        this.activeEvents = snapshot.activeEvents.map(event => Object.assign({}, event));
+        this.conversation = snapshot.conversation;
+        this.combatLog = snapshot.combatLog;
+        this.journal = snapshot.journal;
+        this.hardcore = snapshot.hardcore;
+        this.stats = Object.assign({}, snapshot.stats);
+        this.clockStartedAt = Date.now();
+        this.leaderboardRank = null;
+        this.achievements.restore(snapshot.achievements);
+        this.quests.restore(snapshot.quests);
+    }
+    
+    // Save the current game to a named slot in storage
+    saveGame(slot) {
+        const slotName = this.getSlotName(slot);
+        if (!slotName) {
+            return `<span class="warning-text">Invalid slot name. Use up to 24 letters, numbers, dashes or underscores.</span>`;
+        }
+        
+        if (this.isGameOver) {
+            return `<span class="warning-text">The game is over. There is nothing left to save.</span>`;
+        }
+        
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        const saveData = {
+            slot: slotName,
+            savedAt: new Date().toISOString(),
+            location: currentRoom ? currentRoom.name : 'Unknown',
+            health: `${this.player.health}/${this.player.maxHealth}`,
+            state: this.serializeState()
+        };
+        
+        try {
+            this.storage.setItem(SAVE_KEY_PREFIX + slotName, JSON.stringify(saveData));
+        } catch (error) {
+            return `<span class="danger-text">Could not save the game: ${error.message}</span>`;
+        }
+        
+        return `<span class="success-text">Game saved to slot "${slotName}".</span>`;
+    }
+    
+    // Load a game from a named slot in storage
+    loadGame(slot) {
+        const slotName = this.getSlotName(slot);
+        if (!slotName) {
+            return `<span class="warning-text">Invalid slot name. Type 'saves' to see your saved games.</span>`;
+        }
+        
+        let saveData;
+        try {
+            saveData = JSON.parse(this.storage.getItem(SAVE_KEY_PREFIX + slotName));
+        } catch (error) {
+            return `<span class="danger-text">The save in slot "${slotName}" is corrupted.</span>`;
+        }
+        
+        if (!saveData) {
+            return `<span class="warning-text">There is no saved game in slot "${slotName}". Type 'saves' to see your saved games.</span>`;
+        }
+        
+        // Keep the current game if the snapshot can't be restored
+        const currentState = this.serializeState();
+        try {
+            this.restoreState(saveData.state);
+        } catch (error) {
+            this.restoreState(currentState);
+            return `<span class="danger-text">Could not load slot "${slotName}": ${error.message}</span>`;
+        }
+        
+        // Undo works within a run: a loaded game starts with a clean history
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        this.emit('close-image');
+        this.emit('state-restored');
+        
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        let result = `<span class="success-text">Game loaded from slot "${slotName}".</span>`;
+        if (currentRoom) {
+            result += `\n\n${this.describeRoom(currentRoom)}`;
+        }
+        return result;
+    }
+    
+    // List all saved games
+    listSaves() {
+        const saves = [];
+        try {
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key && key.startsWith(SAVE_KEY_PREFIX)) {
+                    saves.push(JSON.parse(this.storage.getItem(key)));
+                }
+            }
+        } catch (error) {
+            return `<span class="danger-text">Could not read saved games: ${error.message}</span>`;
+        }
+        
+        if (saves.length === 0) {
+            return "You have no saved games. Type 'save [slot]' to create one.";
+        }
+        
+        saves.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+        const lines = saves.map(save =>
+            `- ${save.slot}: ${save.location}, health ${save.health} (saved ${new Date(save.savedAt).toLocaleString()})`);
+        return `Saved games:\n${lines.join('\n')}`;
+    }
+    
+    // Delete a saved game
+    deleteSave(slot) {
+        const slotName = this.getSlotName(slot);
+        if (!slotName || this.storage.getItem(SAVE_KEY_PREFIX + slotName) === null) {
+            return `<span class="warning-text">There is no saved game in slot "${slot || DEFAULT_SAVE_SLOT}".</span>`;
+        }
+        
+        this.storage.removeItem(SAVE_KEY_PREFIX + slotName);
+        return `<span class="success-text">Deleted saved game "${slotName}".</span>`;
+    }
+    
+    // Find a creature to talk to or trade with: by name, or the only friendly (else only) creature in the room
+    findInteractionTarget(name) {
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        if (!currentRoom) return null;
+        
+        if (name) {
+            return currentRoom.findCreature(name);
+        }
+        const living = currentRoom.creatures.filter(creature => creature.isAlive);
+        const friendly = living.filter(creature => !creature.isHostile);
+        if (friendly.length === 1) return friendly[0];
+        return living.length === 1 ? living[0] : null;
+    }
+    
+    // Apply a list of dialogue effects and return their messages
+    applyEffects(effects, creature) {
+        return (effects || [])
+            .map(effect => WORLD_EFFECTS[effect.type](effect, creature, this))
+            .filter(Boolean);
+    }
+    
+    // Get the answers the player can currently choose in a conversation
+    getDialogueOptions() {
+        if (!this.conversation) return [];
+        const creature = this.creatures[this.conversation.creatureId];
+        const node = creature.dialogue.nodes[this.conversation.nodeId];
+        return (node.options || []).filter(option =>
+            !option.conditions || this.checkCondition(option.conditions));
+    }
+    
+    // Show the current dialogue node: what the creature says and the numbered answers
+    describeDialogueNode() {
+        const creature = this.creatures[this.conversation.creatureId];
+        const node = creature.dialogue.nodes[this.conversation.nodeId];
+        const options = this.getDialogueOptions();
+        
+        let result = `<span class="creature-name">${creature.name}</span>: ${node.text}`;
+        if (options.length === 0) {
+            this.conversation = null;
+            return result + `\n\n<span class="info-text">The conversation ends.</span>`;
+        }
+        
+        result += '\n\n' + options.map((option, index) => `${index + 1}. ${option.text}`).join('\n');
+        result += `\n\n<span class="info-text">(Type a number to answer.)</span>`;
+        return result;
+    }
+    
+    // Start a conversation with a creature
+    talkTo(name) {
+        const creature = this.findInteractionTarget(name);
+        if (!creature) {
+            return this.refuse(name ? `There is no ${name} here.` : "Talk to whom? Specify a creature name.");
+        }
+        
+        if (!creature.isAlive) {
+            return this.refuse(`The ${creature.name} is dead.`);
+        }
+        
+        if (!creature.dialogue || creature.isHostile) {
+            return this.refuse(`The ${creature.name} doesn't seem interested in talking.`);
+        }
+        
+        this.conversation = { creatureId: creature.id, nodeId: creature.dialogue.start };
+        return this.describeDialogueNode();
+    }
+    
+    // Choose a numbered answer in the current conversation
+    chooseDialogueOption(number) {
+        if (!this.conversation) {
+            return "You aren't talking to anyone. Use 'talk [creature]' first.";
+        }
+        
+        const options = this.getDialogueOptions();
+        const option = options[number - 1];
+        if (!option) {
+            return `Choose an answer from 1 to ${options.length}.`;
+        }
+        
+        const creature = this.creatures[this.conversation.creatureId];
+        const messages = this.applyEffects(option.effects, creature);
+        
+        let result = `You: "${option.text}"`;
+        if (messages.length > 0) {
+            result += `\n\n<span class="success-text">${messages.join(' ')}</span>`;
+        }
+        
+        if (option.next) {
+            this.conversation.nodeId = option.next;
+            result += '\n\n' + this.describeDialogueNode();
+        } else {
+            this.conversation = null;
+            result += `\n\n<span class="info-text">The conversation ends.</span>`;
+        }
+        return result;
+    }
+    
+    // Give an item to a creature as a gift
+    giveItem(itemName, creatureName) {
+        const item = this.player.getItem(itemName);
+        if (!item) {
+            return this.refuse(`You don't have a ${itemName}.`);
+        }
+        
+        const creature = this.findInteractionTarget(creatureName);
+        if (!creature) {
+            return this.refuse(creatureName ? `There is no ${creatureName} here.` : `Give the ${item.name} to whom?`);
+        }
+        
+        const gift = creature.gifts[item.id];
+        if (!creature.isAlive || !gift) {
+            // Hostile creatures answer a useless offering with their claws
+            if (creature.isAlive && creature.isHostile) {
+                return `The ${creature.name} ignores the ${item.name}.\n` + this.creatureAttack(creature);
+            }
+            return `The ${creature.name} doesn't seem interested in the ${item.name}.`;
+        }
+        
+        this.player.removeItem(item.id);
+        creature.inventory.push(item);
+        const messages = [gift.text || `You give the ${item.name} to the ${creature.name}.`]
+            .concat(this.applyEffects(gift.effects, creature));
+        return `<span class="success-text">${messages.join(' ')}</span>`;
+    }
+    
+    // List the trades offered here, or make a trade for or with an item
+    trade(target) {
+        const currentRoom = this.getRoom(this.player.currentLocation);
+        const traders = currentRoom ? currentRoom.creatures.filter(creature =>
+            creature.isAlive && !creature.isHostile && creature.trades.length > 0) : [];
+        
+        // Only trades the creature can still make (it still has the item it offers)
+        const offers = [];
+        traders.forEach(creature => {
+            creature.trades.forEach(offer => {
+                if (creature.inventory.some(item => item.id === offer.get)) {
+                    offers.push({ creature: creature, offer: offer });
+                }
+            });
+        });
+        
+        if (offers.length === 0) {
+            return this.refuse("Nobody here has anything to trade.");
+        }
+        
+        if (!target) {
+            const lines = offers.map(({ creature, offer }) =>
+                `- The ${creature.name} offers the ${this.items[offer.get].name} for your ${this.items[offer.give].name}.`);
+            return `Trades on offer:\n${lines.join('\n')}\n\nType 'trade [item]' to make a trade.`;
+        }
+        
+        // Match the item the player gives or the item they want
+        const name = target.split(' with ')[0].trim();
+        const match = offers.find(({ offer }) =>
+            [offer.give, offer.get].some(itemId =>
+                itemId === name || this.items[itemId].name.toLowerCase() === name));
+        if (!match) {
+            return this.refuse(`Nobody here wants to trade for the ${name}.`);
+        }
+        
+        const { creature, offer } = match;
+        const given = this.player.removeItem(offer.give);
+        if (!given) {
+            return `The ${creature.name} wants your ${this.items[offer.give].name}, but you don't have one.`;
+        }
+        creature.inventory.push(given);
+        
+        const received = creature.inventory.find(item => item.id === offer.get);
+        creature.inventory.splice(creature.inventory.indexOf(received), 1);
+        this.player.inventory.push(received);
+        
+        const messages = [offer.text || `You trade your ${given.name} for the ${creature.name}'s ${received.name}.`]
+            .concat(this.applyEffects(offer.effects, creature));
+        return `<span class="success-text">${messages.join(' ')}</span>`;
+    }
+    
+    // Get everything within reach that an item can be used on: carried items, items in the room
+    // (if the player can see), living creatures and room features
+    getUseTargets() {
+        const room = this.getRoom(this.player.currentLocation);
+        if (!room) return this.player.inventory;
+        return this.player.inventory.concat(
+            this.canSee(room) ? room.items : [],
+            room.creatures.filter(creature => creature.isAlive),
+            room.features
+        );
+    }
+    
+    // Complete a partly typed command (for Tab in the command input). The first word completes to a verb
+    // or direction (one-letter shortcuts are left out); after that, the end of the input completes to an
+    // exit the player can see (after 'go') or the name of something within reach. Returns the completed
+    // commands, sorted.
+    getCompletions(input) {
+        const text = input.replace(/^\s+/, '').replace(/\s+/g, ' ').toLowerCase();
+        const unique = words => words.filter((word, index) => words.indexOf(word) === index).sort();
+        if (!text) {
+            return [];
+        }
+        
+        if (!text.includes(' ')) {
+            const verbs = [].concat(...Object.values(VERB_SYNONYMS)).filter(verb => !verb.includes(' ') && verb.length > 1);
+            return unique(verbs.concat(DIRECTIONS).filter(word => word.startsWith(text)));
+        }
+        
+        const room = this.getRoom(this.player.currentLocation);
+        const names = VERB_SYNONYMS.go.includes(text.split(' ')[0])
+            ? (room && this.canSee(room) ? room.getExits() : [])
+            : this.getUseTargets().map(thing => thing.name.toLowerCase());
+        
+        // Try the longest noun first, so "use energy b" completes to the Energy Bar
+        // and "use battery on be" to the beacon. Any word of a name can start the match ("wr": Ship Wreckage).
+        for (let split = text.indexOf(' '); split !== -1; split = text.indexOf(' ', split + 1)) {
+            const partial = text.slice(split + 1);
+            const matches = unique(names.filter(name =>
+                name.startsWith(partial) || name.split(' ').some(word => word.startsWith(partial))));
+            if (matches.length > 0) {
+                return matches.map(name => text.slice(0, split + 1) + name);
+            }
+        }
+        return [];
+    }
+    
+    // Get the "use X on Y" recipes for an item
+    getRecipesFor(item) {
+        return (this.world.recipes || []).filter(recipe => recipe.use === item.id);
+    }
+    
+    // Use an item on a target by name. Without a target, the item is used on the only thing within reach
+    // that a recipe accepts ("use battery" with the beacon in your pack).
+    useItemOn(itemName, targetName) {
+        const item = this.player.getItem(itemName);
+        if (!item) {
+            return `You don't have a ${itemName}.`;
+        }
+        
+        const reachable = this.getUseTargets();
+        const recipes = this.getRecipesFor(item);
+        let recipe;
+        let target;
+        
+        if (!targetName) {
+            const options = recipes.filter(r => reachable.some(thing => thing.id === r.on));
+            // With nothing to use it on, a readable item is read instead ("use datapad")
+            if (options.length === 0 && item.read) {
+                return this.readThing(item.name);
+            }
+            if (options.length !== 1) {
+                return `Use the ${item.name} on what?`;
+            }
+            recipe = options[0];
+            target = reachable.find(thing => thing.id === recipe.on);
+        } else {
+            target = reachable.find(thing =>
+                thing.id === targetName || thing.name.toLowerCase() === targetName.toLowerCase());
+            if (!target) {
+                return `There is no ${targetName} here.`;
+            }
+            recipe = recipes.find(r => r.on === target.id);
+            if (!recipe) {
+                return `You can't use the ${item.name} on the ${target.name}.`;
+            }
+        }
+        
+        const creature = target instanceof Creature ? target : null;
+        return this.applyRecipe(recipe, creature);
+    }
+    
+    // Combine two carried items using the recipe table
+    combineItems(firstName, secondName) {
+        const first = this.player.getItem(firstName);
+        const second = this.player.getItem(secondName);
+        if (!first || !second) {
+            return `You don't have a ${first ? secondName : firstName}.`;
+        }
+        if (first === second) {
+            return `You can't combine the ${first.name} with itself.`;
+        }
+        
+        const recipe = (this.world.recipes || []).find(r => r.combine &&
+            r.combine.includes(first.id) && r.combine.includes(second.id));
+        if (!recipe) {
+            return `You can't combine the ${first.name} with the ${second.name}.`;
+        }
+        return this.applyRecipe(recipe, null);
+    }
+    
+    // Apply a recipe: check its conditions, use up the consumed items, hand over the result and run its effects.
+    // Combining uses up both ingredients unless the recipe lists "consumes" itself.
+    applyRecipe(recipe, creature) {
+        if (recipe.conditions && !this.checkCondition(recipe.conditions)) {
+            return `<span class="warning-text">${recipe.failText || 'Nothing happens.'}</span>`;
+        }
+        
+        const room = this.getRoom(this.player.currentLocation);
+        const consumed = recipe.consumes || recipe.combine || [];
+        consumed.forEach(itemId => {
+            if (!this.player.removeItem(itemId) && room) {
+                room.removeItem(itemId);
+            }
+        });
+        
+        const messages = [recipe.text || 'It works!'];
+        if (recipe.result) {
+            const result = this.items[recipe.result];
+            this.player.inventory.push(result);
+            if (!recipe.text) {
+                messages[0] = `You made the ${result.name}!`;
+            }
+        }
+        const text = messages.concat(this.applyEffects(recipe.effects, creature)).join(' ');
+        
+        // Tell listeners once the effects have run, so quests see the flags the recipe sets
+        if (recipe.use) {
+            this.stats.itemsUsed++;
+            this.emit('item-used', { item: recipe.use });
+        }
+        return `<span class="success-text">${text}</span>`;
+    }
+    
+    // Find something within reach by ID or name (see getUseTargets)
+    findThing(name) {
+        return this.getUseTargets().find(thing =>
+            thing.id === name || thing.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+    
+    // Examine an item, creature or room feature up close
+    examineThing(name) {
+        const thing = this.findThing(name);
+        if (!thing) {
+            return `There is no ${name} here.`;
+        }
+        
+        let text = `You examine the ${thing.name}. ${thing.details || thing.description}`;
+        if (thing instanceof Creature) {
+            this.recordCreature(thing);
+            const entry = this.journal.creatures[thing.id];
+            if (entry.fought) {
+                text += ` ${thing.checkStatus()}`;
+            }
+        } else if (thing instanceof Item) {
+            if (thing.isEquippable && thing.getStatsText()) {
+                text += ` (${thing.getStatsText()})`;
+            }
+            text += ` Weight: ${thing.weight}.`;
+        }
+        if (thing.read) {
+            text += ` There's writing on it. Try 'read ${thing.name.toLowerCase()}'.`;
+        }
+        return `<span class="info-text">${text}</span>`;
+    }
+    
+    // Read the writing on an item or room feature. The text goes into the journal, and its effects
+    // (such as a flag that opens new dialogue) apply the first time only.
+    readThing(name) {
+        const thing = this.findThing(name);
+        if (!thing) {
+            return `There is no ${name} here.`;
+        }
+        if (!thing.read) {
+            return `There's nothing to read on the ${thing.name}.`;
+        }
+        
+        const room = this.getRoom(this.player.currentLocation);
+        if (room && !this.canSee(room)) {
+            return `<span class="warning-text">It's too dark to read. You need a light.</span>`;
+        }
+        
+        const isNew = this.recordLore(thing.id, thing.read.title || thing.name, thing.read.text);
+        let result = `<span class="info-text">You read the ${thing.name}.</span>\n\n<span class="lore-text">${thing.read.text}</span>`;
+        if (isNew) {
+            const messages = this.applyEffects(thing.read.effects, null);
+            if (messages.length > 0) {
+                result += `\n\n<span class="success-text">${messages.join(' ')}</span>`;
+            }
+            result += `\n\n<span class="info-text">(Added to your journal.)</span>`;
+        }
+        return result;
+    }
+    
+    // Add a piece of lore to the journal. Returns false if it was already there.
+    recordLore(id, title, text) {
+        if (this.journal.lore.some(entry => entry.id === id)) {
+            return false;
+        }
+        this.journal.lore.push({ id: id, title: title, text: text });
+        return true;
+    }
+    
+    // Add a creature to the journal. Fighting it teaches the player more: { fought, defeated, hit }
+    // (hit is damage the creature just dealt, so the journal knows how hard it can hit).
+    recordCreature(creature, learned = {}) {
+        if (!this.journal.creatures[creature.id]) {
+            this.journal.creatures[creature.id] = { fought: false, defeated: false, strongestHit: 0 };
+        }
+        const entry = this.journal.creatures[creature.id];
+        if (learned.fought) entry.fought = true;
+        if (learned.defeated) entry.defeated = true;
+        if (learned.hit) entry.strongestHit = Math.max(entry.strongestHit, learned.hit);
+    }
+    
+    // Note the current room and the creatures in it in the journal
+    updateJournal() {
+        const room = this.getRoom(this.player.currentLocation);
+        if (!room) return;
+        
+        if (!this.journal.rooms.includes(room.id)) {
+            this.journal.rooms.push(room.id);
+        }
+        room.creatures.filter(creature => creature.isAlive).forEach(creature => this.recordCreature(creature));
+    }
+    
+    // Get the journal for display: { lore: [{ title, text }], creatures: [{ name, description, notes }], rooms: [{ name, note }] }.
+    // A creature's health and how hard it hits are only known once the player has fought it.
+    getJournal() {
+        return {
+            lore: this.journal.lore.map(entry => ({ title: entry.title, text: entry.text })),
+            creatures: Object.keys(this.journal.creatures).filter(id => this.creatures[id]).map(id => {
+                const creature = this.creatures[id];
+                const entry = this.journal.creatures[id];
+                let notes = 'Not fought yet.';
+                if (entry.fought) {
+                    notes = `Health ${creature.maxHealth}; its hardest hit on you so far: ${entry.strongestHit}.` +
+                        (entry.defeated ? ' Defeated.' : '');
+                }
+                return { name: creature.name, description: creature.description, notes: notes };
+            }),
+            rooms: this.journal.rooms.filter(id => this.rooms[id]).map(id => ({
+                name: this.rooms[id].name,
+                note: this.rooms[id].note
+            }))
+        };
+    }
+    
+    // Get the journal as text for the 'journal' command
+    getJournalText() {
+        const journal = this.getJournal();
+        const sections = ['=== JOURNAL ==='];
+        
+        sections.push('Lore:\n' + (journal.lore.length > 0
+            ? journal.lore.map(entry => `- ${entry.title}: <span class="lore-text">${entry.text}</span>`).join('\n')
+            : "- Nothing read yet. Try 'read' on notes and screens you find."));
+        sections.push('Creatures:\n' + (journal.creatures.length > 0
+            ? journal.creatures.map(entry =>
+                `- <span class="creature-name">${entry.name}</span>: ${entry.description} ${entry.notes}`).join('\n')
+            : '- No creatures encountered yet.'));
+        sections.push('Places:\n' + journal.rooms.map(entry =>
+            `- ${entry.name}${entry.note ? `: ${entry.note}` : ''}`).join('\n'));
+        
+        return sections.join('\n\n');
+    }
+    
+    // Lay the rooms out on a grid by walking the exits from the start room: each exit's direction
+    // puts the next room one step that way. When two rooms want the same spot, the later one is pushed
+    // further along the same direction (the world's geometry doesn't have to be consistent).
+    layoutMap() {
+        const layout = { [this.world.startRoom]: { x: 0, y: 0 } };
+        const taken = new Set(['0,0']);
+        const queue = [this.world.startRoom];
+        
+        while (queue.length > 0) {
+            const room = this.rooms[queue.shift()];
+            Object.keys(room.exits).forEach(direction => {
+                const to = room.exits[direction].to;
+                if (layout[to] || !this.rooms[to]) return;
+                
+                const [dx, dy] = MAP_OFFSETS[direction];
+                let step = 1;
+                while (taken.has(`${layout[room.id].x + dx * step},${layout[room.id].y + dy * step}`)) {
+                    step++;
+                }
+                layout[to] = { x: layout[room.id].x + dx * step, y: layout[room.id].y + dy * step };
+                taken.add(`${layout[to].x},${layout[to].y}`);
+                queue.push(to);
+            });
+        }
+        return layout;
+    }
+    
+    // Get what the player knows of the map: visited rooms, the rooms their visible exits lead to,
+    // and the passages between them. Returns { rooms: [{ id, name, x, y, isVisited, isCurrent,
+    // hasItems, hasHostiles }], links: [{ from, to, direction, locked }] }.
+    getMap() {
+        const visited = Object.values(this.rooms).filter(room => room.isVisited && this.mapLayout[room.id]);
+        const known = new Set(visited.map(room => room.id));
+        const links = [];
+        
+        visited.forEach(room => {
+            room.getExits().forEach(direction => {
+                const exit = room.exits[direction];
+                if (!this.mapLayout[exit.to]) return;
+                known.add(exit.to);
+                
+                // A passage seen from both ends is drawn once
+                if (!links.some(link => link.from === exit.to && link.to === room.id)) {
+                    links.push({ from: room.id, to: exit.to, direction: direction, locked: !!exit.locked });
+                }
+            });
+        });
+        
+        const rooms = Array.from(known).map(id => {
+            const room = this.rooms[id];
+            return {
+                id: id,
+                name: room.isVisited ? room.name : null,
+                x: this.mapLayout[id].x,
+                y: this.mapLayout[id].y,
+                isVisited: room.isVisited,
+                isCurrent: id === this.player.currentLocation,
+                hasItems: room.isVisited && room.items.length > 0,
+                hasHostiles: room.isVisited && room.creatures.some(creature => creature.isHostile && creature.isAlive)
+            };
+        });
+        return { rooms: rooms, links: links };
+    }
+    
+    // Draw the known map as text for the 'map' command
+    getMapText() {
+        const map = this.getMap();
+        const xs = map.rooms.map(room => room.x);
+        const ys = map.rooms.map(room => room.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const roomAt = (x, y) => map.rooms.find(room => room.x === x && room.y === y);
+        const isLinked = (a, b) => a && b && map.links.some(link =>
+            (link.from === a.id && link.to === b.id) || (link.from === b.id && link.to === a.id));
+        const marker = room => {
+            if (!room.isVisited) return '[?]';
+            if (room.isCurrent) return '[@]';
+            if (room.hasHostiles) return '[!]';
+            return room.hasItems ? '[*]' : '[ ]';
+        };
+        
+        // Each room is a 3-character cell; passages between neighbors are drawn as --- and |
+        const lines = [];
+        for (let y = minY; y <= Math.max(...ys); y++) {
+            let roomLine = '';
+            let passageLine = '';
+            for (let x = minX; x <= Math.max(...xs); x++) {
+                const room = roomAt(x, y);
+                roomLine += (room ? marker(room) : '   ') + (isLinked(room, roomAt(x + 1, y)) ? '---' : '   ');
+                passageLine += (isLinked(room, roomAt(x, y + 1)) ? ' | ' : '   ') + '   ';
+            }
+            lines.push(roomLine.replace(/\s+$/, ''), passageLine.replace(/\s+$/, ''));
+        }
+        
+        const names = map.rooms.filter(room => room.isVisited)
+            .map(room => `${marker(room)} ${room.name}`);
+        
+        // Passages between rooms that aren't side by side on the grid are listed instead
+        const roomName = id => this.rooms[id].isVisited ? this.rooms[id].name : 'somewhere unexplored';
+        const undrawn = map.links.filter(link => {
+            const from = this.mapLayout[link.from];
+            const to = this.mapLayout[link.to];
+            return Math.abs(from.x - to.x) + Math.abs(from.y - to.y) !== 1;
+        }).map(link => `${roomName(link.from)} ${link.direction} to ${roomName(link.to)}${link.locked ? ' (locked)' : ''}`);
+        if (undrawn.length > 0) {
+            names.push(`\nOther passages:\n${undrawn.map(text => `- ${text}`).join('\n')}`);
+        }
+        
+        return `=== MAP ===\n\n<span class="map-text">${lines.join('\n').replace(/\n+$/, '')}</span>\n\n` +
+            `${names.join('\n')}\n\n[@] you are here, [!] hostile creatures, [*] items left behind, [?] unexplored\n` +
+            "Type 'go to [place]' to walk to a place you've been.";
+    }
+    
+    // Find a visited room by (part of) its name
+    findKnownRoom(name) {
+        const matches = this.parser.matchNames(name, Object.values(this.rooms).filter(room => room.isVisited));
+        return matches.length === 1 ? matches[0] : null;
+    }
+    
+    // Find the shortest safe route to a room through rooms the player has visited. A safe route only
+    // uses visible exits the player can pass (unlocked, or with the key; with any required item) and
+    // never crosses a room with hostile creatures or a dark room the player can't see in.
+    // Returns the list of directions, or null if there is no safe route.
+    findSafePath(targetId) {
+        const start = this.player.currentLocation;
+        const routes = { [start]: [] };
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const roomId = queue.shift();
+            if (roomId === targetId) {
+                return routes[roomId];
+            }
+            
+            const room = this.rooms[roomId];
+            const isSafe = roomId === start || (this.canSee(room) &&
+                !room.creatures.some(creature => creature.isHostile && creature.isAlive));
+            if (!isSafe) continue;
+            
+            room.getExits().forEach(direction => {
+                const exit = room.exits[direction];
+                const next = this.rooms[exit.to];
+                if (!next || !next.isVisited || routes[exit.to]) return;
+                if (exit.locked && !(exit.key && this.player.getItem(exit.key))) return;
+                if (exit.requires && !this.player.getItem(exit.requires)) return;
+                
+                routes[exit.to] = routes[roomId].concat(direction);
+                queue.push(exit.to);
+            });
+        }
+        return null;
+    }
+    
+    // Walk to a visited room along the shortest safe route, one move (and turn) at a time.
+    // The walk stops early if a fight breaks out on the way.
+    travelTo(name) {
+        const room = this.findKnownRoom(name);
+        if (room.id === this.player.currentLocation) {
+            return `You're already at the ${room.name}.`;
+        }
+        
+        const path = this.findSafePath(room.id);
+        if (!path) {
+            return `<span class="warning-text">You don't know a safe way to the ${room.name}.</span>`;
+        }
+        
+        const results = [`<span class="info-text">You set off for the ${room.name} (${path.length} move${path.length !== 1 ? 's' : ''}).</span>`];
+        for (let i = 0; i < path.length; i++) {
+            const from = this.player.currentLocation;
+            results.push(this.executeCommand('go', path[i], '', `go ${path[i]}`));
+            
+            // Stop if the game ended, a fight broke out or the move failed (a stumble in the dark)
+            const movesLeft = path.length - i - 1;
+            if (movesLeft > 0 && (this.isGameOver || this.getActiveHostile() || this.player.currentLocation === from)) {
+                results.push(`<span class="info-text">(You stop with ${movesLeft} move${movesLeft !== 1 ? 's' : ''} to go.)</span>`);
+                break;
+            }
+        }
+        return results.join('\n\n');
+    }
+    
+    // Get help text
+    getHelpText() {
+        return `Available commands:
+- go/move/walk [direction] - Move in a direction (north, south, east, west, or just n/s/e/w)
+- go to [place] - Walk to a place you've visited by the shortest safe route
+- look/l - Look around the current area
+- examine/x/look at [thing] - Take a closer look at an item, creature or something in the room
+- read [item] - Read notes, screens and signs (what you read goes into your journal)
+- search - Search the area for hidden passages
+- unlock [direction] - Unlock a locked exit with a key you carry
+- take/get/pick up [item] - Pick up an item ('take all' picks up everything you can carry)
+- drop [item] - Leave an item in the room ('drop all' empties your pack)
+- use [item] - Use an item from your inventory
+- use [item] on [target] - Use an item on another item, a creature or something in the room
+- combine [item] with [item] - Combine two items into something new
+- attack/fight/hit [creature] - Attack a creature
+- defend/block - Brace yourself: the creature's next attack does half damage
+- flee/run/retreat - Try to escape a fight back to the room you came from
+- talk/speak [creature] - Talk to a friendly creature (type a number to answer)
+- give [item] to [creature] - Give an item to a creature
+- trade - See what creatures here will trade; trade [item] to make a trade
+- equip/wield/wear [item] - Equip a weapon or armor from your inventory
+- unequip/remove [item or slot] - Unequip an item
+- equipment/eq - Show what you have equipped
+- inventory/inv/i - Check your inventory and how much it weighs
+- status/health/hp - Check your health, status effects (poison, bleeding, stun, regeneration), oxygen and the time
+- stats/level/xp - Show your level, experience and combat stats
+- map/m - Show a map of the places you've found
+- journal/j - Show your journal: lore you've read, creatures you've met and places you've been
+- undo - Take back your last move (the game remembers your last moves, except in hardcore runs)
+- redo - Play an undone move again
+- save [slot] - Save your game (default slot: quicksave)
+- load [slot] - Load a saved game
+- saves - List your saved games
+- delete save [slot] - Delete a saved game
+- leaderboard/scores - Show your fastest wins
+- achievements - Show the achievements you've unlocked and the ones still to get
+- objectives/quests/o - Show your quests, the steps done and still to do, and any hints you've unlocked
+- seed - Show this run's seed and command log (attach it to bug reports)
+- replay [seed] [difficulty] [hardcore] [command]; [command]; ... - Replay a recorded run (no arguments: replay this run)
+- help/h/? - Show this help text
+
+Tips: directions can be shortened (n, s, e, w, u, d) and typed on their own. Names can be shortened too
+("take bar", "attack beast"). Chain commands with "then" or commas ("n then take medkit, use medkit"),
+and take several things at once ("take knife and medkit"). In the browser, W/A/S/D and the Left/Right
+arrow keys move you while the command line is empty (hold Shift to type a command starting with one
+of those letters), Alt+arrow keys move you at any time, and Up/Down bring back the commands you've typed.
+
+Your goal: Survive the alien creatures and find a way to call for rescue! Type 'objectives' to see what to do next.`;
+    }
+    
+    // Get the play time of this run. The clock stops when the game ends.
+    getElapsedMs() {
+        return this.stats.elapsedMs + (this.isGameOver ? 0 : Date.now() - this.clockStartedAt);
+    }
+    
+    // Get the statistics of this run, for the end-of-game summary
+    getRunSummary() {
+        const rooms = Object.values(this.rooms);
+        const ending = this.getEnding();
+        return {
+            isWin: this.isWin,
+            ending: ending ? { id: ending.id, name: ending.name, type: ending.type || 'good' } : null,
+            difficulty: this.getDifficulty().name,
+            turns: this.turn,
+            health: this.player.health,
+            maxHealth: this.player.maxHealth,
+            level: this.player.level,
+            xp: this.player.xp,
+            damageDealt: this.stats.damageDealt,
+            damageTaken: this.stats.damageTaken,
+            kills: this.stats.kills,
+            itemsUsed: this.stats.itemsUsed,
+            roomsVisited: rooms.filter(room => room.isVisited).length,
+            roomCount: rooms.length,
+            elapsedMs: this.getElapsedMs(),
+            leaderboardRank: this.leaderboardRank
+        };
+    }
+    
+    // Summarize a finished run as text. The play time and the leaderboard place depend on the clock and on
+    // earlier runs, so they are left out (the summary screen shows them) and a replay prints the same summary.
+    getEndSummary() {
+        const summary = this.getRunSummary();
+        let text = `=== ${summary.ending ? summary.ending.name.toUpperCase() : 'MISSION FAILED'} ===
+Difficulty: ${summary.difficulty}
+Turns: ${summary.turns}
+Health: ${summary.health}/${summary.maxHealth}
+Level: ${summary.level} (${summary.xp} XP)
+Damage dealt: ${summary.damageDealt}
+Damage taken: ${summary.damageTaken}
+Creatures killed: ${summary.kills}
+Items used: ${summary.itemsUsed}
+Places visited: ${summary.roomsVisited}/${summary.roomCount}`;
+        return `<span class="info-text">${text}</span>`;
+    }
+    
+    // Read the leaderboard of this world from storage: wins ranked by fewest turns, then most health left
+    getLeaderboard() {
+        let entries;
+        try {
+            entries = JSON.parse(this.storage.getItem(LEADERBOARD_KEY)) || [];
+        } catch (error) {
+            entries = [];
+        }
+        return entries.filter(entry => entry.world === this.world.id);
+    }
+    
+    // Put a won run on the leaderboard. Returns its place, or null if it didn't make the list.
+    recordWin() {
+        const entry = {
+            world: this.world.id,
+            turns: this.turn,
+            health: this.player.health,
+            difficulty: this.getDifficulty().name,
+            ending: this.getEnding().name,
+            elapsedMs: this.getElapsedMs(),
+            wonAt: new Date().toISOString()
+        };
+        
+        let entries;
+        try {
+            entries = JSON.parse(this.storage.getItem(LEADERBOARD_KEY)) || [];
+        } catch (error) {
+            entries = [];
+        }
+        
+        const ranked = entries.filter(other => other.world === this.world.id).concat(entry)
+            .sort((a, b) => a.turns - b.turns || b.health - a.health)
+            .slice(0, LEADERBOARD_SIZE);
+        const rank = ranked.indexOf(entry) + 1;
+        try {
+            this.storage.setItem(LEADERBOARD_KEY, JSON.stringify(
+                entries.filter(other => other.world !== this.world.id).concat(ranked)));
+        } catch (error) {
+            return null; // Storage is full or disabled: the win just isn't recorded
+        }
+        return rank > 0 ? rank : null;
+    }
+    
+    // Show the leaderboard for the 'leaderboard' command
+    getLeaderboardText() {
+        const entries = this.getLeaderboard();
+        if (entries.length === 0) {
+            return "No wins yet. Escape the planet to get on the leaderboard!";
+        }
+        const lines = entries.map((entry, index) =>
+            `${index + 1}. ${entry.turns} turns, ${entry.health} health left${entry.ending ? `: ${entry.ending}` : ''} (${entry.difficulty}, ${formatDuration(entry.elapsedMs)}, ${new Date(entry.wonAt).toLocaleDateString()})`);
+        return `=== LEADERBOARD ===\n${lines.join('\n')}`;
+    }
+    
+    // Get the ending the player reached, or null while the game goes on (or after dying)
+    getEnding() {
+        return this.world.endings.find(ending => ending.id === this.ending) || null;
+    }
+    
+    // Check win/lose conditions
+    checkGameConditions() {
+        // Check lose condition (only once, when the player has just died)
+        if (!this.player.isAlive && !this.isGameOver) {
+            this.stats.elapsedMs = this.getElapsedMs();
+            this.isGameOver = true;
+
+            // Show game over image
+            this.emit('show-image', {
+                src: this.world.gameOverImage || './assets/game_over.png',
+                alt: 'Game Over - You Have Died!'
+            });
+
+            this.addMessage(`<span class="danger-text">You have died! GAME OVER.</span>`);
+            this.emit('game-over');
+            this.addMessage(this.getEndSummary());
+        }
+
+        // Check the endings declared by the world, in order: the first whose conditions hold ends the game
+        if (!this.isGameOver) {
+            const ending = this.world.endings.find(candidate => this.achievements.checkRunCondition(candidate.conditions));
+            if (ending) {
+                this.stats.elapsedMs = this.getElapsedMs();
+                this.isWin = true;
+                this.isGameOver = true;
+                this.ending = ending.id;
+                this.leaderboardRank = this.recordWin();
+
+                if (ending.image) {
+                    this.emit('show-image', { src: ending.image, alt: ending.imageAlt || ending.name });
+                }
+
+                if (ending.text) {
+                    this.addMessage(`<span class="${ending.type === 'bad' ? 'warning-text' : 'success-text'}">${ending.text}</span>`);
+                }
+                this.emit('win', { ending: ending.id, leaderboardRank: this.leaderboardRank });
+                this.addMessage(this.getEndSummary());
+            }
+        }
+    }
+}
+
+// Export for Node scripts and tests (in the browser the classes are globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Item, Creature, Room, Player, GameEngine, AchievementTracker, RandomGenerator, MemoryStorage, DIFFICULTIES,
+        ITEM_EFFECTS, WORLD_EFFECTS, WorldValidationError, validateWorld, parseWorld, getDefaultWorld
+    };
+}
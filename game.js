@@ -1,962 +1,200 @@
-// Space Adventure Game - JavaScript Implementation
-
-// Item Class - Represents objects that player can collect and use
-class Item {
-    constructor(id, name, description, isUsable = false, isEquippable = false, maxUses = null) {
-        this.id = id; // Unique identifier for the item
-        this.name = name; // Display name of the item
-        this.description = description; // Text description of the item
-        this.isUsable = isUsable; // Can the item be used?
-        this.isEquippable = isEquippable; // Can the item be equipped?
-        this.maxUses = maxUses; // Maximum number of uses (null = unlimited)
-        this.currentUses = maxUses; // Current remaining uses
-    }
-    
-    // Get the item's description
-    getDescription() {
-        return this.description;
-    }
-    
-    // Use the item (to be overridden by specific item types)
-    use(player) {
-        return `<span class="info-text">You examine the ${this.name}. ${this.description}</span>`;
-    }
-}
-
-// Creature Class - Represents creatures in the game
-class Creature {
-    constructor(id, name, description, health, damage, isHostile = true, image = null) {
-        this.id = id; // Unique identifier for the creature
-        this.name = name; // Display name of the creature
-        this.description = description; // Text description of the creature
-        this.health = health; // Current health points
-        this.maxHealth = health; // Maximum health points
-        this.damage = damage; // Damage dealt in combat
-        this.isHostile = isHostile; // Is the creature hostile to the player?
-        this.isAlive = true; // Is the creature alive?
-        this.image = image; // Image path for creature modal
-    }
-    
-    // Attack the player
-    attack(player) {
-        if (!this.isAlive || !this.isHostile) return;
-
-        const damageDealt = Math.floor(Math.random() * this.damage) + 1;
-        player.takeDamage(damageDealt);
-        return `${this.name} <span class="combat-highlight">attacks</span> you for <span class="combat-highlight">${damageDealt}</span> <span class="combat-highlight">damage</span>!`;
-    }
-    
-    // Take damage from the player
-    takeDamage(amount) {
-        this.health -= amount;
-        if (this.health <= 0) {
-            this.health = 0;
-            this.isAlive = false;
-            return true; // Creature died
-        }
-        return false; // Creature survived
-    }
-    
-    // Get the creature's status
-    checkStatus() {
-        if (!this.isAlive) return `${this.name} is dead.`;
-        return `${this.name} (Health: ${this.health}/${this.maxHealth})`;
-    }
-    
-    // Get the creature's description
-    getDescription() {
-        return this.description;
-    }
-}
-
-// Room Class - Represents locations in the game
-class Room {
-    constructor(id, name, description, image) {
-        this.id = id; // Unique identifier for the room
-        this.name = name; // Display name of the room
-        this.description = description; // Text description of the room
-        this.image = image; // Image for the room
-        this.items = []; // Items in the room
-        this.creatures = []; // Creatures in the room
-        this.exits = {}; // Exits to other rooms (north, south, east, west)
-        this.isVisited = false; // Has the player visited this room before?
-        this.activeCreatureIndex = 0; // Index of currently active creature for sequential encounters
-    }
-    
-    // Get the room's description
-    getDescription() {
-        let desc = `<span class="location-name">${this.name}</span>\n\n${this.description}`;
-        
-        // Add items in the room
-        if (this.items.length > 0) {
-            desc += "\n\nYou see: ";
-            const itemNames = this.items.map(item => `<span class="item-name">${item.name}</span>`).join(", ");
-            desc += itemNames;
-        }
-        
-        // Add creatures in the room
-        if (this.creatures.length > 0) {
-            desc += "\n\nCreatures: ";
-            const creatureNames = this.creatures.map(creature =>
-                `<span class="creature-name">${creature.name}</span>`).join(", ");
-            desc += creatureNames;
-        }
-        
-        // Add creature alert if hostile creatures are present
-        const hostileCreatures = this.creatures.filter(creature =>
-            creature.isHostile && creature.isAlive
-        );
-        if (hostileCreatures.length > 0) {
-            const creatureNames = hostileCreatures.map(c => c.name).join(' and ');
-            desc += `\n\n<span class="creature-alert">[${creatureNames.toUpperCase()}] DETECTED! MUST ENGAGE!!</span>`;
-        }
-        
-        // Add available exits
-        const exitDirections = Object.keys(this.exits);
-        if (exitDirections.length > 0) {
-            desc += "\n\nExits: " + exitDirections.join(", ");
-        } else {
-            desc += "\n\nThere are no obvious exits.";
-        }
-        
-        return desc;
-    }
-    
-    // Get available exits
-    getExits() {
-        return Object.keys(this.exits);
-    }
-    
-    // Add an item to the room
-    addItem(item) {
-        this.items.push(item);
-    }
-    
-    // Remove an item from the room
-    removeItem(itemId) {
-        const index = this.items.findIndex(item => item.id === itemId);
-        if (index !== -1) {
-            return this.items.splice(index, 1)[0];
-        }
-        return null;
-    }
-    
-    // Add a creature to the room
-    addCreature(creature) {
-        this.creatures.push(creature);
-    }
-    
-    // Remove a creature from the room
-    removeCreature(creatureId) {
-        const index = this.creatures.findIndex(creature => creature.id === creatureId);
-        if (index !== -1) {
-            return this.creatures.splice(index, 1)[0];
-        }
+// Space Adventure Game - DOM Renderer
+// Draws the results returned by GameEngine (engine.js) and turns clicks and typed commands into engine commands.
+
+// How long a toast (such as an unlocked achievement) stays on screen, in milliseconds
+const TOAST_DURATION = 5000;
+
+// Commands kept in the input history (Up/Down)
+const HISTORY_SIZE = 100;
+
+// Keys that move the player while the command input is empty and nothing is being typed
+const MOVE_KEYS = {
+    ArrowUp: 'north', ArrowDown: 'south', ArrowLeft: 'west', ArrowRight: 'east',
+    w: 'north', s: 'south', a: 'west', d: 'east'
+};
+
+// Get the direction a key press moves the player, or null. Alt+arrow keys move from anywhere. The
+// arrow keys and WASD move while nothing is being typed: in the empty command input (where Up/Down
+// still browse the history and Shift+letter types the letter) or with the focus outside any text field.
+function getMoveDirection(e, commandInput) {
+    const direction = MOVE_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!direction || e.ctrlKey || e.metaKey) {
         return null;
     }
-    
-    // Get an item by ID
-    getItem(itemId) {
-        return this.items.find(item => item.id === itemId);
-    }
-    
-    // Get a creature by ID
-    getCreature(creatureId) {
-        return this.creatures.find(creature => creature.id === creatureId);
-    }
-    
-    // Get a creature by name
-    getCreatureByName(name) {
-        return this.creatures.find(creature => 
-            creature.name.toLowerCase() === name.toLowerCase());
-    }
-}
-
-// Player Class - Represents the player character
-class Player {
-    constructor(startingRoom) {
-        this.health = 100; // Current health points
-        this.maxHealth = 100; // Maximum health points
-        this.inventory = []; // Items the player is carrying
-        this.currentLocation = startingRoom; // Current room ID
-        this.isAlive = true; // Is the player alive?
-    }
-    
-    // Move to a new room
-    move(direction, gameEngine) {
-        const currentRoom = gameEngine.getRoom(this.currentLocation);
-        if (!currentRoom) return "You're in an unknown location.";
-        
-        // Check if there are hostile creatures in the current room
-        const hostileCreatures = currentRoom.creatures.filter(creature =>
-            creature.isHostile && creature.isAlive
-        );
-        
-        if (hostileCreatures.length > 0) {
-            return `<span class="danger-text">You can't leave while there are hostile creatures here! You must defeat ${hostileCreatures.map(c => c.name).join(' and ')} first.</span>`;
-        }
-        
-        const nextRoomId = currentRoom.exits[direction.toLowerCase()];
-        if (!nextRoomId) {
-            return `You can't go ${direction} from here.`;
-        }
-        
-        this.currentLocation = nextRoomId;
-        const nextRoom = gameEngine.getRoom(this.currentLocation);
-
-        // Mark room as visited
-        if (nextRoom && !nextRoom.isVisited) {
-            nextRoom.isVisited = true;
-        }
-
-        // Show modal for active hostile creature when entering room
-        if (nextRoom) {
-            const hostileCreaturesInNewRoom = nextRoom.creatures.filter(c => c.isHostile && c.isAlive);
-            if (hostileCreaturesInNewRoom.length > 0 && nextRoom.activeCreatureIndex < hostileCreaturesInNewRoom.length) {
-                const activeCreature = hostileCreaturesInNewRoom[nextRoom.activeCreatureIndex];
-                if (activeCreature && activeCreature.image) {
-                    const modal = document.getElementById('image-modal');
-                    const modalImage = document.getElementById('modal-room-image');
-                    if (modal && modalImage) {
-                        modal.style.display = 'flex';
-                        modalImage.src = activeCreature.image;
-                        modalImage.alt = `${activeCreature.name} - ${activeCreature.description}`;
-                    }
-                }
-            }
-        }
-
-        return nextRoom ? nextRoom.getDescription() : "You move to an unknown location.";
-    }
-    
-    // Take an item from the current room
-    take(itemId, gameEngine) {
-        const currentRoom = gameEngine.getRoom(this.currentLocation);
-        if (!currentRoom) return "You're in an unknown location.";
-        
-        const item = currentRoom.getItem(itemId);
-        if (!item) {
-            // Try to find by name
-            const itemByName = currentRoom.items.find(i =>
-                i.name.toLowerCase() === itemId.toLowerCase());
-            if (!itemByName) {
-                return `There is no ${itemId} here.`;
-            }
-            itemId = itemByName.id;
-        }
-        
-        const takenItem = currentRoom.removeItem(itemId);
-        if (takenItem) {
-            this.inventory.push(takenItem);
-            return `You take the ${takenItem.name}.`;
-        }
-        
-        return `You can't take that.`;
-    }
-    
-    // Use an item from inventory
-    use(itemId) {
-        const item = this.inventory.find(i =>
-            i.id === itemId || i.name.toLowerCase() === itemId.toLowerCase());
-
-        if (!item) {
-            return `You don't have a ${itemId}.`;
-        }
-
-        if (!item.isUsable) {
-            return `You can't use the ${item.name}.`;
-        }
-
-        const result = item.use(this);
-
-        // Remove item from inventory if it has been depleted
-        if (item.currentUses !== null && item.currentUses <= 0) {
-            const index = this.inventory.indexOf(item);
-            if (index !== -1) {
-                this.inventory.splice(index, 1);
-            }
-        }
-
-        return result;
-    }
-    
-    // Attack a creature in the current room
-    attack(creatureName, gameEngine) {
-        const currentRoom = gameEngine.getRoom(this.currentLocation);
-        if (!currentRoom) return "You're in an unknown location.";
-        
-        const creature = currentRoom.getCreatureByName(creatureName);
-        if (!creature) {
-            return `There is no ${creatureName} here.`;
-        }
-        
-        if (!creature.isAlive) {
-            return `The ${creatureName} is already dead.`;
-        }
-        
-        if (!creature.isHostile) {
-            return `The ${creatureName} is not hostile and doesn't want to fight.`;
-        }
-        
-        // Player attacks creature
-        const playerDamage = Math.floor(Math.random() * 15) + 5; // 5-20 damage
-        const creatureDied = creature.takeDamage(playerDamage);
-
-        let result = `You <span class="combat-highlight">attack</span> the ${creature.name} for <span class="combat-highlight">${playerDamage}</span> <span class="combat-highlight">damage</span>!`;
-
-        if (creatureDied) {
-            result += ` The ${creature.name} is <span class="combat-highlight">dead</span>!`;
-            currentRoom.removeCreature(creature.id);
-
-            // Check for next creature and show modal (activeCreatureIndex stays at 0)
-            const remainingHostile = currentRoom.creatures.filter(c => c.isHostile && c.isAlive);
-            if (remainingHostile.length > 0) {
-                const nextCreature = remainingHostile[0]; // Next creature is now at index 0
-                if (nextCreature && nextCreature.image) {
-                    // Show modal for next creature
-                    setTimeout(() => {
-                        const modal = document.getElementById('image-modal');
-                        const modalImage = document.getElementById('modal-room-image');
-                        if (modal && modalImage) {
-                            modal.style.display = 'flex';
-                            modalImage.src = nextCreature.image;
-                            modalImage.alt = `${nextCreature.name} - ${nextCreature.description}`;
-                        }
-                        // Refresh buttons to enable next creature
-                        gameEngine.updateContextButtons();
-                    }, 500); // Small delay for dramatic effect
-                }
-            }
-        } else {
-            // Creature attacks back
-            const counterAttack = creature.attack(this);
-            result += "\n" + counterAttack;
-        }
-
-        return result;
-    }
-    
-    // Take damage
-    takeDamage(amount) {
-        this.health -= amount;
-        if (this.health <= 0) {
-            this.health = 0;
-            this.isAlive = false;
-        }
-    }
-    
-    // Check the player's status
-    checkStatus() {
-        if (!this.isAlive) {
-            return "You are dead.";
-        }
-        return `Health: ${this.health}/${this.maxHealth}`;
+    if (e.altKey) {
+        return e.key.startsWith('Arrow') ? direction : null;
     }
-    
-    // Get inventory
-    getInventory() {
-        if (this.inventory.length === 0) {
-            return "Your inventory is empty.";
-        }
-        return this.inventory.map(item => {
-            // Show usage count for items with limited uses
-            if (item.currentUses !== null) {
-                return `${item.name} (${item.currentUses} use${item.currentUses !== 1 ? 's' : ''} left)`;
-            }
-            return item.name;
-        }).join(", ");
+    if (e.target === commandInput) {
+        const historyKey = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+        return commandInput.value || historyKey || e.shiftKey ? null : direction;
     }
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    return typing || commandInput.value ? null : direction;
 }
 
-// GameEngine Class - Manages the game state and logic
-class GameEngine {
-    constructor() {
-        this.rooms = {}; // All rooms in the game
-        this.player = null; // The player object
-        this.isGameOver = false; // Is the game over?
-        this.isWin = false; // Did the player win?
-        this.hasPlayerMoved = false; // Has the player made their first move?
+// GameRenderer Class - Connects the game engine to the page
+class GameRenderer {
+    constructor(engine) {
+        this.engine = engine; // The headless game engine
         this.gameOutput = document.getElementById('game-output'); // Output element
         this.commandInput = document.getElementById('command-input'); // Input element
         this.submitButton = document.getElementById('submit-button'); // Submit button
         this.currentLocationDisplay = document.getElementById('current-location'); // Location display
         this.healthDisplay = document.getElementById('health-status'); // Health display
+        this.difficultyDisplay = document.getElementById('difficulty-status'); // Difficulty display
+        this.levelDisplay = document.getElementById('level-status'); // Level and XP display
+        this.timeDisplay = document.getElementById('time-status'); // Time of day display
+        this.oxygenDisplay = document.getElementById('oxygen-status'); // Oxygen display
         this.inventoryDisplay = document.getElementById('inventory'); // Inventory display
-        
-        this.initializeGame();
+        this.equipmentDisplay = document.getElementById('equipment'); // Equipment display
+        this.combatLogDisplay = document.getElementById('combat-log'); // Combat log panel
+        this.journalDisplay = document.getElementById('journal'); // Journal panel
+        this.mapDisplay = document.getElementById('mini-map'); // Mini-map panel
+        this.objectivesDisplay = document.getElementById('objectives'); // Quests panel
+        this.undoButton = document.querySelector('.action-btn[data-action="undo"]'); // Undo button
+        this.redoButton = document.querySelector('.action-btn[data-action="redo"]'); // Redo button
+        this.summaryScreen = document.getElementById('summary-screen'); // End-of-game summary
+        this.toastContainer = document.getElementById('toast-container'); // Corner where toasts pop up
+        this.completionList = document.getElementById('command-completions'); // Tab-completion dropdown
+        this.history = []; // Commands typed so far, oldest first (kept across Play again)
+        this.historyIndex = null; // Position while browsing the history with Up/Down (null: not browsing)
+        this.historyDraft = ''; // What was typed before browsing started
+        this.lastImage = null; // Last image shown in the modal (the ending image, once the game is over)
+
         this.setupEventListeners();
     }
-    
-    // Initialize the game world
-    initializeGame() {
-        this.createRooms();
-        this.createItems();
-        this.createCreatures();
-        this.placeItemsAndCreatures();
-        
-        // Create player in starting room
-        this.player = new Player('crash_site');
-        
-        // Display starting message
-        this.displayMessage("=== ALIEN PLANET SURVIVAL ===\n\n");
-        this.displayMessage("Your spaceship has crashed on an unknown alien planet. You must survive hostile creatures and find a way to call for rescue!\n\n");
-        this.displayMessage("Type 'help' for available commands.\n\n");
-        
-        // Show first room
-        const startRoom = this.getRoom(this.player.currentLocation);
-        if (startRoom) {
-            startRoom.isVisited = true;
-            this.displayMessage(startRoom.getDescription());
-            
-            // Check for hostile creatures in starting room and trigger attack
-            const hostileCreatures = startRoom.creatures.filter(creature =>
-                creature.isHostile && creature.isAlive
-            );
-            
-            if (hostileCreatures.length > 0) {
-                const attackingCreature = hostileCreatures[0];
-                const damageDealt = Math.floor(Math.random() * attackingCreature.damage) + 1;
-                this.player.takeDamage(damageDealt);
-                
-                this.displayMessage(`\n<span class="danger-text">The ${attackingCreature.name} attacks you for ${damageDealt} damage! You must defend yourself!</span>`);
-                
-                // Check if player died
-                if (!this.player.isAlive) {
-                    this.isGameOver = true;
-
-                    // Show game over image in modal
-                    const modal = document.getElementById('image-modal');
-                    const modalImage = document.getElementById('modal-room-image');
-                    if (modal && modalImage) {
-                        modal.style.display = 'flex';
-                        modalImage.src = './assets/game_over.png';
-                        modalImage.alt = 'Game Over - You Have Died!';
-                    }
-
-                    this.displayMessage(`<span class="danger-text">You have died! GAME OVER.</span>`);
-                }
-            }
-        }
-        
-        this.updateStatusDisplays();
-    }
-    
-    // Create all rooms in the game
-    createRooms() {
-        // Crash Site - Starting location
-        this.rooms.crash_site = new Room(
-            'crash_site',
-            'Crash Site',
-            'The smoldering wreckage of your spaceship lies scattered around you. The alien air is thin and cold. Strange purple plants grow in clusters around the metal debris.',
-            './assets/crash_site.png'
-        );
-        
-        // Alien Forest
-        this.rooms.alien_forest = new Room(
-            'alien_forest',
-            'Alien Forest',
-            'Tall, bioluminescent trees tower above you, their glowing blue leaves casting eerie shadows. The ground is soft and spongy, and you hear strange rustling sounds in the distance.',
-            './assets/alien_forest.png'
-        );
-        
-        // Crystal Caves
-        this.rooms.crystal_caves = new Room(
-            'crystal_caves',
-            'Crystal Caves',
-            'The walls of this cave are lined with shimmering crystals that pulse with an inner light. The air hums with energy, and you can hear dripping water echoing in the distance.',
-            './assets/crystal_caves.png'
-        );
-        
-        // Abandoned Research Facility
-        this.rooms.research_facility = new Room(
-            'research_facility',
-            'Abandoned Research Facility',
-            'This once-bustling research facility is now silent and dusty. Broken equipment lines the walls, and computer screens flicker with error messages. Papers and data pads are scattered on the floor.',
-            './assets/research_facility.png'
-        );
-        
-        // Mountain Peak
-        this.rooms.mountain_peak = new Room(
-            'mountain_peak',
-            'Mountain Peak',
-            'You stand at the highest point of the alien mountain range. The view is breathtaking - you can see the entire alien landscape spread out below. The wind howls fiercely at this altitude.',
-            './assets/mountain_peak.png'
-        );
-        
-        // Underground Tunnels
-        this.rooms.underground_tunnels = new Room(
-            'underground_tunnels',
-            'Underground Tunnels',
-            'These dark, narrow tunnels wind deep beneath the planet\'s surface. The air is damp and musty, and strange markings cover the walls.',
-            './assets/underground_tunnels.png'
-        );
-        
-        // Connect rooms with exits
-        this.rooms.crash_site.exits = { north: 'alien_forest', east: 'crystal_caves' };
-        this.rooms.alien_forest.exits = { south: 'crash_site', east: 'mountain_peak', west: 'underground_tunnels' };
-        this.rooms.crystal_caves.exits = { west: 'crash_site', north: 'research_facility' };
-        this.rooms.research_facility.exits = { south: 'crystal_caves', east: 'mountain_peak' };
-        this.rooms.mountain_peak.exits = { west: 'alien_forest', south: 'research_facility' };
-        this.rooms.underground_tunnels.exits = { east: 'alien_forest', north: 'crystal_caves' };
-    }
-    
-    // Create all items in the game
-    createItems() {
-        // Basic items
-        this.items = {
-            medkit: new Item(
-                'medkit',
-                'Medkit',
-                'A medical kit that can restore health.',
-                true,
-                false,
-                2  // Can be used 2 times
-            ),
-            energy_bar: new Item(
-                'energy_bar',
-                'Energy Bar',
-                'A high-energy food bar that restores a small amount of health.',
-                true,
-                false,
-                2  // Can be used 2 times
-            ),
-            flashlight: new Item(
-                'flashlight',
-                'Flashlight',
-                'A sturdy flashlight that can illuminate dark areas.',
-                true,
-                false
-            ),
-            knife: new Item(
-                'knife',
-                'Combat Knife',
-                'A sharp combat knife that increases your damage in combat.',
-                false,
-                true
-            ),
-            keycard: new Item(
-                'keycard',
-                'Research Facility Keycard',
-                'A keycard that grants access to the research facility.',
-                false,
-                false
-            ),
-            battery: new Item(
-                'battery',
-                'Power Battery',
-                'A high-capacity battery that can power electronic devices.',
-                true,
-                false,
-                1  // Can only be used once
-            ),
-            beacon: new Item(
-                'beacon',
-                'Rescue Beacon',
-                'A distress beacon that can call for rescue when activated at the mountain peak.',
-                true,
-                false
-            ),
-            crystal: new Item(
-                'crystal',
-                'Energy Crystal',
-                'A glowing crystal that hums with power. It might be useful for repairing equipment.',
-                false,
-                false
-            ),
-            datapad: new Item(
-                'datapad',
-                'Research Datapad',
-                'A datapad containing research notes about the alien planet.',
-                false,
-                false
-            )
-        };
-
-        // Set beacon powered state
-        this.items.beacon.isPowered = false;
-
-        // Set up item use functions
-        // Set up item use functions
-        // Set up item use functions
-        // Set up item use functions
-        // Set up item use functions
-        this.items.medkit.use = function(player) {
-            const healAmount = 50;
-            player.health = Math.min(player.health + healAmount, player.maxHealth);
-
-            // Decrement uses
-            if (this.currentUses !== null) {
-                this.currentUses--;
-                const usesRemaining = this.currentUses;
-
-                if (usesRemaining > 0) {
-                    return `<span class="success-text">You use the medkit and restore ${healAmount} health. (${usesRemaining} use${usesRemaining !== 1 ? 's' : ''} remaining)</span>`;
-                } else {
-                    return `<span class="success-text">You use the medkit and restore ${healAmount} health. Medkit consumed!</span>`;
-                }
-            }
-
-            return `<span class="success-text">You use the medkit and restore ${healAmount} health.</span>`;
-        };
-        
-        this.items.energy_bar.use = function(player) {
-            const healAmount = 20;
-            player.health = Math.min(player.health + healAmount, player.maxHealth);
-
-            // Decrement uses
-            if (this.currentUses !== null) {
-                this.currentUses--;
-                const usesRemaining = this.currentUses;
-
-                if (usesRemaining > 0) {
-                    return `<span class="success-text">You eat the energy bar and restore ${healAmount} health. (${usesRemaining} use${usesRemaining !== 1 ? 's' : ''} remaining)</span>`;
-                } else {
-                    return `<span class="success-text">You eat the energy bar and restore ${healAmount} health. Energy Bar consumed!</span>`;
-                }
-            }
 
-            return `<span class="success-text">You eat the energy bar and restore ${healAmount} health.</span>`;
-        };
-        
-        this.items.flashlight.use = function(player) {
-            return `<span class="info-text">You turn on the flashlight. The beam cuts through the darkness.</span>`;
-        };
-        
-        this.items.battery.use = function(player) {
-            // Check if player has beacon
-            const beacon = player.inventory.find(item => item.id === 'beacon');
-            if (beacon) {
-                // Power the beacon
-                beacon.isPowered = true;
-
-                // Decrement uses
-                if (this.currentUses !== null) {
-                    this.currentUses--;
-                    return `<span class="success-text">You install the battery in the beacon. It's now ready to activate! Battery consumed!</span>`;
-                }
-                return `<span class="success-text">You install the battery in the beacon. It's now ready to activate!</span>`;
-            }
-            return `<span class="warning-text">You have nothing to use the battery with.</span>`;
-        };
-        
-        this.items.beacon.use = function(player) {
-            // Check if player is at mountain peak
-            if (player.currentLocation === 'mountain_peak') {
-                // Check if beacon is powered
-                if (this.isPowered) {
-                    gameEngine.isWin = true;
-                    gameEngine.isGameOver = true;
-
-                    // Show win image in modal
-                    const modal = document.getElementById('image-modal');
-                    const modalImage = document.getElementById('modal-room-image');
-                    if (modal && modalImage) {
-                        modal.style.display = 'flex';
-                        modalImage.src = './assets/Beacon_win.png';
-                        modalImage.alt = 'Victory - Rescue Beacon Activated!';
-                    }
-
-                    return `<span class="success-text">You activate the rescue beacon! A signal shoots into the sky... Rescue is on the way! YOU WIN!</span>`;
-                } else {
-                    return `<span class="warning-text">The beacon needs power. You need to find a battery first.</span>`;
-                }
-            } else {
-                return `<span class="warning-text">You need to be at the mountain peak to activate the beacon effectively.</span>`;
-            }
-        };
+    // Show the opening text of a new game
+    start() {
+        this.render(this.engine.start());
     }
-    
-    // Create all creatures in the game
-    createCreatures() {
-        this.creatures = {
-            xenomorph: new Creature(
-                'xenomorph',
-                'Xenomorph',
-                'A terrifying alien creature with sharp claws and dripping fangs. It moves with unnatural speed.',
-                50,
-                15,
-                true,
-                './assets/fight_scene_xenomorph.png'
-            ),
-            alien_beast: new Creature(
-                'alien_beast',
-                'Alien Beast',
-                'A large, six-legged creature with tough hide and powerful jaws. It looks hungry.',
-                70,
-                10,
-                true,
-                './assets/fight_scene_Alien_Beast.png'
-            ),
-            swarm: new Creature(
-                'swarm',
-                'Alien Swarm',
-                'A swarm of small, flying alien creatures that move as one. Individually weak, but dangerous in numbers.',
-                30,
-                8,
-                true,
-                './assets/fight_scene_swarm.png'
-            ),
-            friendly_alien: new Creature(
-                'friendly_alien',
-                'Peaceful Alien',
-                'A small, timid creature with large eyes. It seems curious rather than hostile.',
-                20,
-                0,
-                false,
-                './assets/fight_scene_peaceful_alien.png'
-            ),
-            mountain_guardian: new Creature(
-                'mountain_guardian',
-                'Mountain Guardian',
-                'A massive, armored alien beast adapted to the harsh mountain environment. Its thick hide glistens with ice crystals.',
-                55,
-                18,
-                true,
-                './assets/fight_scene_Mountain_Guardian.png'
-            ),
-            peak_sentinel: new Creature(
-                'peak_sentinel',
-                'Peak Sentinel',
-                'A swift, aggressive predator that stalks the mountain peaks. Its razor-sharp claws leave deep gouges in the rock.',
-                40,
-                16,
-                true,
-                './assets/fight_scene_Peak_Sentinel.png'
-            )
-        };
+
+    // Swap in a new engine (Play again) and start it on a clean screen
+    restart(engine) {
+        this.engine = engine;
+        this.gameOutput.innerHTML = '';
+        this.lastImage = null;
+        this.hideSummary();
+        closeImageModal();
+        this.start();
     }
-    
-    // Place items and creatures in rooms
-    placeItemsAndCreatures() {
-        // Place items
-        this.rooms.crash_site.addItem(this.items.flashlight);
-        this.rooms.crash_site.addItem(this.items.energy_bar);
-        
-        this.rooms.alien_forest.addItem(this.items.medkit);
-        this.rooms.alien_forest.addCreature(this.creatures.xenomorph);
-        
-        this.rooms.crystal_caves.addItem(this.items.crystal);
-        this.rooms.crystal_caves.addCreature(this.creatures.swarm);
-        
-        this.rooms.research_facility.addItem(this.items.keycard);
-        this.rooms.research_facility.addItem(this.items.datapad);
-        this.rooms.research_facility.addItem(this.items.battery);
-        this.rooms.research_facility.addCreature(this.creatures.alien_beast);
-        
-        this.rooms.mountain_peak.addItem(this.items.beacon);
-        this.rooms.mountain_peak.addCreature(this.creatures.mountain_guardian);
-        this.rooms.mountain_peak.addCreature(this.creatures.peak_sentinel);
-
-        this.rooms.underground_tunnels.addItem(this.items.knife);
-        this.rooms.underground_tunnels.addCreature(this.creatures.friendly_alien);
+
+    // Send a command to the engine and display the result
+    runCommand(command) {
+        this.displayMessage(`> ${command}`);
+        this.render(this.engine.processCommand(command));
     }
-    
-    // Get a room by ID
-    getRoom(roomId) {
-        return this.rooms[roomId] || null;
+
+    // Display a command result: its text, its events, then the refreshed status panels
+    render(result) {
+        this.displayMessage(result.text);
+        result.events.forEach(event => this.handleEvent(event));
+        this.updateStatusDisplays();
     }
-    
-    // Process player commands
-    processCommand(command) {
-        if (this.isGameOver) {
-            return "The game is over. Refresh the page to play again.";
-        }
-        
-        // Mark that player has made their first move
-        if (!this.hasPlayerMoved) {
-            this.hasPlayerMoved = true;
-        }
-        
-        const parts = command.trim().toLowerCase().split(' ');
-        const action = parts[0];
-        const target = parts.slice(1).join(' ');
-        
-        let result = '';
-        
-        // Check for hostile creatures in current room for non-combat actions
-        const currentRoom = this.getRoom(this.player.currentLocation);
-        const hostileCreatures = currentRoom ? currentRoom.creatures.filter(creature =>
-            creature.isHostile && creature.isAlive
-        ) : [];
-        
-        // Handle creature attack on room entry
-        if (hostileCreatures.length > 0 && action !== 'attack' && action !== 'fight' && action !== 'hit') {
-            // Creature attacks player for trying to do other things
-            const attackingCreature = hostileCreatures[0];
-            const damageDealt = Math.floor(Math.random() * attackingCreature.damage) + 1;
-            this.player.takeDamage(damageDealt);
-            
-            result = `<span class="danger-text">While you try to ${action}, the ${attackingCreature.name} attacks you for ${damageDealt} damage! You must fight the creature first!</span>`;
-            
-            // Check if player died
-            if (!this.player.isAlive) {
-                this.isGameOver = true;
-
-                // Show game over image in modal
-                const modal = document.getElementById('image-modal');
-                const modalImage = document.getElementById('modal-room-image');
-                if (modal && modalImage) {
-                    modal.style.display = 'flex';
-                    modalImage.src = './assets/game_over.png';
-                    modalImage.alt = 'Game Over - You Have Died!';
-                }
 
-                result += `\n\n<span class="danger-text">You have died! GAME OVER.</span>`;
-            }
-            
-            // Update status displays
-            this.updateStatusDisplays();
-            this.checkGameConditions();
-            return result;
-        }
-        
-        switch (action) {
-            case 'go':
-            case 'move':
-            case 'walk':
-                if (!target) {
-                    result = "Go where? Specify a direction (north, south, east, west).";
+    // React to an engine event
+    handleEvent(event) {
+        switch (event.type) {
+            case 'show-image':
+                if (event.delay) {
+                    setTimeout(() => this.showImage(event.src, event.alt), event.delay);
                 } else {
-                    result = this.player.move(target, this);
+                    this.showImage(event.src, event.alt);
                 }
                 break;
-                
-            case 'look':
-            case 'l':
-                result = currentRoom ? currentRoom.getDescription() : "You're in an unknown location.";
-                
-                // Open modal with room image
-                const modal = document.getElementById('image-modal');
-                const modalImage = document.getElementById('modal-room-image');
-                if (currentRoom && modal && modalImage) {
-                    modal.style.display = 'flex';
-                    modalImage.src = currentRoom.image;
-                    modalImage.alt = currentRoom.name;
-                }
-                
-                // Trigger creature attack if present and hostile
-                if (hostileCreatures.length > 0) {
-                    const attackingCreature = hostileCreatures[0];
-                    const damageDealt = Math.floor(Math.random() * attackingCreature.damage) + 1;
-                    this.player.takeDamage(damageDealt);
-                    
-                    result += `\n\n<span class="danger-text">The ${attackingCreature.name} attacks you for ${damageDealt} damage! You must defend yourself!</span>`;
-                    
-                    // Check if player died
-                    if (!this.player.isAlive) {
-                        this.isGameOver = true;
-
-                        // Show game over image in modal
-                        const modal = document.getElementById('image-modal');
-                        const modalImage = document.getElementById('modal-room-image');
-                        if (modal && modalImage) {
-                            modal.style.display = 'flex';
-                            modalImage.src = './assets/game_over.png';
-                            modalImage.alt = 'Game Over - You Have Died!';
-                        }
-
-                        result += `\n\n<span class="danger-text">You have died! GAME OVER.</span>`;
-                    }
-                }
-                break;
-                
-            case 'take':
-            case 'get':
-                if (!target) {
-                    result = "Take what? Specify an item name.";
-                } else {
-                    result = this.player.take(target, this);
-                }
-                break;
-                
-            case 'use':
-                if (!target) {
-                    result = "Use what? Specify an item name.";
-                } else {
-                    result = this.player.use(target);
-                }
-                break;
-                
-            case 'attack':
-            case 'fight':
-            case 'hit':
-                if (!target) {
-                    result = "Attack what? Specify a creature name.";
-                } else {
-                    result = this.player.attack(target, this);
-                }
+
+            case 'close-image':
+                closeImageModal();
                 break;
-                
-            case 'inventory':
-            case 'inv':
-            case 'i':
-                result = "Inventory: " + this.player.getInventory();
+
+            case 'win':
+            case 'game-over':
+                this.showSummary();
                 break;
-                
-            case 'status':
-            case 'health':
-            case 'hp':
-                result = "Status: " + this.player.checkStatus();
+
+            case 'achievement-unlocked':
+                this.showToast(`🏆 ${event.name}`, event.description);
                 break;
-                
-            case 'help':
-            case 'h':
-            case '?':
-                result = this.getHelpText();
+
+            case 'quest-completed':
+                this.showToast(`🎯 ${event.name}`, 'Quest complete!');
                 break;
-                
-            default:
-                result = `I don't understand '${command}'. Type 'help' for available commands.`;
         }
-        
-        // Check win/lose conditions after processing command
-        this.checkGameConditions();
-        
-        // Update status displays
-        this.updateStatusDisplays();
-        
-        return result;
     }
-    
-    // Get help text
-    getHelpText() {
-        return `Available commands:
-- go/move/walk [direction] - Move in a direction (north, south, east, west)
-- look/l - Look around the current area
-- take/get [item] - Pick up an item
-- use [item] - Use an item from your inventory
-- attack/fight/hit [creature] - Attack a creature
-- inventory/inv/i - Check your inventory
-- status/health/hp - Check your health status
-- help/h/? - Show this help text
-
-Your goal: Survive the alien creatures and find a way to call for rescue!`;
+
+    // Pop up a toast in the corner of the screen; it goes away by itself
+    showToast(title, text) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `<strong>${title}</strong><span>${text}</span>`;
+        this.toastContainer.appendChild(toast);
+        setTimeout(() => toast.remove(), TOAST_DURATION);
     }
-    
-    // Check win/lose conditions
-    checkGameConditions() {
-        // Check lose condition
-        if (!this.player.isAlive) {
-            this.isGameOver = true;
-
-            // Show game over image in modal
-            const modal = document.getElementById('image-modal');
-            const modalImage = document.getElementById('modal-room-image');
-            if (modal && modalImage) {
-                modal.style.display = 'flex';
-                modalImage.src = './assets/game_over.png';
-                modalImage.alt = 'Game Over - You Have Died!';
-            }
 
-            this.displayMessage(`<span class="danger-text">You have died! GAME OVER.</span>`);
+    // Show an image in the modal
+    showImage(src, alt) {
+        const modal = document.getElementById('image-modal');
+        const modalImage = document.getElementById('modal-room-image');
+        if (modal && modalImage) {
+            modal.style.display = 'flex';
+            modalImage.src = src;
+            modalImage.alt = alt;
+        }
+        this.lastImage = { src: src, alt: alt };
+    }
+
+    // Show the end-of-game summary: the ending image, the run's statistics and the leaderboard
+    showSummary() {
+        const summary = this.engine.getRunSummary();
+        closeImageModal();
+
+        document.getElementById('summary-title').textContent = summary.ending
+            ? `${summary.ending.type === 'bad' ? '⚠️' : '🏆'} ${summary.ending.name}`
+            : '💀 Mission Failed';
+        const image = document.getElementById('summary-image');
+        image.style.display = this.lastImage ? 'inline' : 'none';
+        if (this.lastImage) {
+            image.src = this.lastImage.src;
+            image.alt = this.lastImage.alt;
+        }
+
+        const rows = [
+            ['Difficulty', summary.difficulty],
+            ['Turns', summary.turns],
+            ['Level', `${summary.level} (${summary.xp} XP)`],
+            ['Health', `${summary.health}/${summary.maxHealth}`],
+            ['Damage dealt', summary.damageDealt],
+            ['Damage taken', summary.damageTaken],
+            ['Creatures killed', summary.kills],
+            ['Items used', summary.itemsUsed],
+            ['Places visited', `${summary.roomsVisited}/${summary.roomCount}`],
+            ['Time', formatDuration(summary.elapsedMs)]
+        ];
+        if (summary.leaderboardRank) {
+            rows.push(['Leaderboard', `#${summary.leaderboardRank}`]);
         }
+        document.getElementById('summary-stats').innerHTML = rows
+            .map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+
+        const entries = this.engine.getLeaderboard();
+        document.getElementById('summary-leaderboard').innerHTML = entries.length === 0
+            ? '<li>No wins yet.</li>'
+            : entries.map((entry, index) =>
+                `<li class="${index + 1 === summary.leaderboardRank ? 'current-run' : ''}">${entry.turns} turns, ${entry.health} health${entry.ending ? `: ${entry.ending}` : ''} (${entry.difficulty})</li>`).join('');
+
+        document.getElementById('summary-undo-btn').style.display = this.engine.canUndo() ? 'inline-block' : 'none';
+        this.summaryScreen.style.display = 'flex';
+    }
 
-        // Win condition is checked in beacon.use() function
+    // Hide the end-of-game summary
+    hideSummary() {
+        this.summaryScreen.style.display = 'none';
     }
-    
+
     // Update status displays
     updateStatusDisplays() {
-        const currentRoom = this.getRoom(this.player.currentLocation);
+        const player = this.engine.player;
+        const currentRoom = this.engine.getRoom(player.currentLocation);
         if (currentRoom) {
             this.currentLocationDisplay.textContent = currentRoom.name;
             const roomImage = document.getElementById('room-image');
@@ -969,33 +207,171 @@ Your goal: Survive the alien creatures and find a way to call for rescue!`;
         } else {
             this.currentLocationDisplay.textContent = 'Unknown';
         }
-        this.healthDisplay.textContent = `${this.player.health}/${this.player.maxHealth}`;
-        this.inventoryDisplay.textContent = this.player.getInventory();
+        this.updateHealth();
+        this.difficultyDisplay.textContent = this.engine.getDifficulty().name;
+        this.updateLevel();
+        this.updateSurvival();
+        this.updateInventory();
+        this.equipmentDisplay.textContent = player.getEquipment();
+        this.updateCombatLog();
+        this.updateJournal();
+        this.updateMap();
+        this.updateObjectives();
+        this.undoButton.disabled = !this.engine.canUndo();
+        this.redoButton.disabled = !this.engine.canRedo();
         this.updateCompass();
         this.updateContextButtons();
     }
-    
+
+    // Show the player's health with a badge for each active status effect and the turns it has left
+    updateHealth() {
+        const status = this.engine.getStatus();
+        const badges = status.statusEffects.map(effect =>
+            `<span class="status-effect status-${effect.type}" title="${effect.name}: ${effect.turns} turn${effect.turns !== 1 ? 's' : ''} left">${effect.icon} ${effect.name} (${effect.turns})</span>`);
+        this.healthDisplay.innerHTML = `${status.health}/${status.maxHealth}` +
+            (badges.length > 0 ? `<div class="status-effects">${badges.join('')}</div>` : '');
+    }
+
+    // Show the time of day (with any world event going on) and the oxygen left. Worlds without
+    // a clock or an oxygen meter hide those sections.
+    updateSurvival() {
+        const status = this.engine.getStatus();
+        document.getElementById('time-section').style.display = status.clock ? '' : 'none';
+        if (status.clock) {
+            this.timeDisplay.innerHTML = `${status.clock.isNight ? '🌙' : '☀️'} ${status.clock.text}, day ${status.clock.day}` +
+                status.activeEvents.map(name => `<div class="world-event">⚠️ ${name}</div>`).join('');
+        }
+
+        document.getElementById('oxygen-section').style.display = status.oxygen !== null ? '' : 'none';
+        if (status.oxygen !== null) {
+            const percent = Math.round(status.oxygen / status.maxOxygen * 100);
+            this.oxygenDisplay.innerHTML = `<div class="oxygen-bar${percent < 25 ? ' low' : ''}"><div style="width: ${percent}%"></div></div>` +
+                `${status.oxygen}/${status.maxOxygen}`;
+        }
+    }
+
+    // Show the inventory with a bar for how much of the carrying capacity it takes up
+    updateInventory() {
+        const status = this.engine.getStatus();
+        const percent = Math.min(100, Math.round(status.carriedWeight / status.capacity * 100));
+        this.inventoryDisplay.innerHTML = `${this.engine.player.getInventory()}` +
+            `<div class="inventory-load${percent >= 100 ? ' full' : ''}">` +
+            `<div class="inventory-load-bar"><div style="width: ${percent}%"></div></div>` +
+            `${this.engine.getLoadText()}</div>`;
+    }
+
+    // Show the player's level and how far they are towards the next one
+    updateLevel() {
+        const status = this.engine.getStatus();
+        this.levelDisplay.textContent = status.nextLevelXp !== null
+            ? `Level ${status.level} · ${status.xp}/${status.nextLevelXp} XP`
+            : `Level ${status.level} · ${status.xp} XP (max)`;
+    }
+
+    // Show the latest combat exchanges, newest at the bottom
+    updateCombatLog() {
+        const entries = this.engine.combatLog;
+        if (entries.length === 0) {
+            this.combatLogDisplay.textContent = 'No fights yet.';
+            return;
+        }
+
+        this.combatLogDisplay.innerHTML = entries
+            .map(entry => `<div class="combat-log-entry"><span class="combat-log-turn">T${entry.turn}</span> ${entry.text}</div>`)
+            .join('');
+        this.combatLogDisplay.scrollTop = this.combatLogDisplay.scrollHeight;
+    }
+
+    // Show the journal: lore read, creatures met and places visited
+    updateJournal() {
+        const journal = this.engine.getJournal();
+        const section = (title, entries) => entries.length === 0 ? '' :
+            `<div class="journal-heading">${title}</div>` +
+            entries.map(entry => `<div class="journal-entry">${entry}</div>`).join('');
+
+        this.journalDisplay.innerHTML =
+            section('📜 Lore', journal.lore.map(entry => `<strong>${entry.title}</strong>: <span class="lore-text">${entry.text}</span>`)) +
+            section('👾 Creatures', journal.creatures.map(entry => `<span class="creature-name">${entry.name}</span>: ${entry.notes}`)) +
+            section('🗺️ Places', journal.rooms.map(entry => `<strong>${entry.name}</strong>${entry.note ? `: ${entry.note}` : ''}`));
+    }
+
+    // Show the quests with a checkmark on every step done, and the hints unlocked for the steps still to do
+    updateObjectives() {
+        const quests = this.engine.quests.getQuests();
+        if (quests.length === 0) {
+            this.objectivesDisplay.textContent = 'No objectives in this world.';
+            return;
+        }
+
+        this.objectivesDisplay.innerHTML = quests.map(quest =>
+            `<div class="objective-quest${quest.isComplete ? ' complete' : ''}">🎯 ${quest.name}</div>` +
+            quest.steps.map(step =>
+                `<div class="objective-step${step.isComplete ? ' complete' : ''}${step.isCurrent ? ' current' : ''}">` +
+                `${step.isComplete ? '✅' : '⬜'} ${step.name}` +
+                (step.hint && !step.isComplete ? `<div class="objective-hint">💡 ${step.hint}</div>` : '') +
+                `</div>`).join('')
+        ).join('');
+    }
+
+    // Draw the mini-map as SVG: passages as lines, rooms as boxes marked with the player, items and hostiles.
+    // Visited rooms can be clicked to walk there (see setupEventListeners).
+    updateMap() {
+        const map = this.engine.getMap();
+        const cellWidth = 96;
+        const cellHeight = 48;
+        const minX = Math.min(...map.rooms.map(room => room.x));
+        const minY = Math.min(...map.rooms.map(room => room.y));
+        const width = (Math.max(...map.rooms.map(room => room.x)) - minX + 1) * cellWidth;
+        const height = (Math.max(...map.rooms.map(room => room.y)) - minY + 1) * cellHeight;
+        const center = id => {
+            const room = map.rooms.find(r => r.id === id);
+            return { x: (room.x - minX) * cellWidth + cellWidth / 2, y: (room.y - minY) * cellHeight + cellHeight / 2 };
+        };
+
+        const links = map.links.map(link => {
+            const from = center(link.from);
+            const to = center(link.to);
+            return `<line class="map-link${link.locked ? ' locked' : ''}" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"></line>`;
+        }).join('');
+
+        const rooms = map.rooms.map(room => {
+            const { x, y } = center(room.id);
+            const label = room.name ? (room.name.length > 14 ? `${room.name.slice(0, 13)}…` : room.name) : '?';
+            const classes = ['map-room', room.isVisited ? 'visited' : 'unexplored', room.isCurrent ? 'current' : ''].join(' ').trim();
+            const clickable = room.isVisited && !room.isCurrent ? ` data-room="${room.name}"` : '';
+            return `<g class="${classes}"${clickable}>` +
+                `<title>${room.name || 'Unexplored'}${room.isCurrent ? ' (you are here)' : ''}</title>` +
+                `<rect x="${x - 42}" y="${y - 15}" width="84" height="30" rx="4"></rect>` +
+                `<text x="${x}" y="${y + 3}">${label}</text>` +
+                (room.hasItems ? `<circle class="map-items" cx="${x - 36}" cy="${y - 9}" r="4"></circle>` : '') +
+                (room.hasHostiles ? `<circle class="map-hostiles" cx="${x + 36}" cy="${y - 9}" r="4"></circle>` : '') +
+                '</g>';
+        }).join('');
+
+        this.mapDisplay.innerHTML = `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${links}${rooms}</svg>` +
+            '<div class="map-legend"><span class="map-legend-items">●</span> items <span class="map-legend-hostiles">●</span> hostiles. Click a place to walk there.</div>';
+    }
+
     // Update context-sensitive buttons
     updateContextButtons() {
         const contextContainer = document.getElementById('context-buttons');
         contextContainer.innerHTML = '';
-        
-        const currentRoom = this.getRoom(this.player.currentLocation);
+
+        const player = this.engine.player;
+        const currentRoom = this.engine.getRoom(player.currentLocation);
         if (!currentRoom) return;
-        
+
         // Add take buttons for items in room
         currentRoom.items.forEach(item => {
             const btn = document.createElement('button');
             btn.className = 'context-btn take-btn';
             btn.textContent = `📦 Take ${item.name}`;
             btn.addEventListener('click', () => {
-                this.displayMessage(`> take ${item.name}`);
-                const result = this.processCommand(`take ${item.name}`);
-                this.displayMessage(result);
+                this.runCommand(`take ${item.name}`);
             });
             contextContainer.appendChild(btn);
         });
-        
+
         // Add attack buttons for hostile creatures
         const hostileCreatures = currentRoom.creatures.filter(c => c.isHostile && c.isAlive);
         hostileCreatures.forEach((creature, index) => {
@@ -1012,16 +388,65 @@ Your goal: Survive the alien creatures and find a way to call for rescue!`;
             btn.textContent = `⚔️ Attack ${creature.name}`;
             btn.addEventListener('click', () => {
                 if (isActive) {
-                    this.displayMessage(`> attack ${creature.name}`);
-                    const result = this.processCommand(`attack ${creature.name}`);
-                    this.displayMessage(result);
+                    this.runCommand(`attack ${creature.name}`);
                 }
             });
             contextContainer.appendChild(btn);
         });
-        
+
+        // In a fight, offer the other combat moves
+        if (hostileCreatures.length > 0) {
+            [['defend', '🛡️ Defend'], ['flee', '🏃 Flee']].forEach(([command, label]) => {
+                const btn = document.createElement('button');
+                btn.className = 'context-btn combat-btn';
+                btn.textContent = label;
+                btn.addEventListener('click', () => {
+                    this.runCommand(command);
+                });
+                contextContainer.appendChild(btn);
+            });
+        }
+
+        // During a conversation, offer the numbered answers; otherwise a talk button per friendly creature
+        if (this.engine.conversation) {
+            this.engine.getDialogueOptions().forEach((option, index) => {
+                const btn = document.createElement('button');
+                btn.className = 'context-btn talk-btn';
+                btn.textContent = `💬 ${option.text}`;
+                btn.addEventListener('click', () => {
+                    this.runCommand(`${index + 1}`);
+                });
+                contextContainer.appendChild(btn);
+            });
+        } else {
+            currentRoom.creatures
+                .filter(c => c.isAlive && !c.isHostile && c.dialogue)
+                .forEach(creature => {
+                    const btn = document.createElement('button');
+                    btn.className = 'context-btn talk-btn';
+                    btn.textContent = `💬 Talk to ${creature.name}`;
+                    btn.addEventListener('click', () => {
+                        this.runCommand(`talk ${creature.name}`);
+                    });
+                    contextContainer.appendChild(btn);
+                });
+        }
+
         // Add buttons for all items in inventory
-        this.player.inventory.forEach(item => {
+        player.inventory.forEach(item => {
+            // Equippable items get an Equip/Unequip button instead
+            if (item.isEquippable) {
+                const isEquipped = player.equipment[item.slot] === item;
+                const btn = document.createElement('button');
+                btn.className = 'context-btn equip-btn';
+                btn.textContent = `🗡️ ${isEquipped ? 'Unequip' : 'Equip'} ${item.name}`;
+                btn.addEventListener('click', () => {
+                    this.runCommand(`${isEquipped ? 'unequip' : 'equip'} ${item.name}`);
+                });
+                contextContainer.appendChild(btn);
+                return;
+            }
+
             const btn = document.createElement('button');
             btn.className = 'context-btn use-btn';
 
@@ -1030,81 +455,205 @@ Your goal: Survive the alien creatures and find a way to call for rescue!`;
             btn.textContent = `✨ ${action} ${item.name}`;
 
             btn.addEventListener('click', () => {
-                this.displayMessage(`> use ${item.name}`);
-                const result = this.processCommand(`use ${item.name}`);
-                this.displayMessage(result);
+                this.runCommand(`use ${item.name}`);
             });
             contextContainer.appendChild(btn);
         });
     }
-    
+
     // Display a message in the game output
     displayMessage(message) {
         this.gameOutput.innerHTML += message + '\n\n';
         // Only auto-scroll after player has made their first move
-        if (this.hasPlayerMoved) {
+        if (this.engine.hasPlayerMoved) {
             requestAnimationFrame(() => {
                 this.gameOutput.scrollTop = this.gameOutput.scrollHeight;
             });
         }
     }
-    
+
+    // Remember a typed command for Up/Down (a command repeated right away is kept once)
+    addToHistory(command) {
+        if (this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            if (this.history.length > HISTORY_SIZE) {
+                this.history.shift();
+            }
+        }
+        this.historyIndex = null;
+    }
+
+    // Step through the history: -1 for an older command, 1 for a newer one.
+    // Stepping past the newest command brings back what was being typed.
+    browseHistory(step) {
+        if (this.history.length === 0) return;
+        if (this.historyIndex === null) {
+            if (step > 0) return;
+            this.historyDraft = this.commandInput.value;
+            this.historyIndex = this.history.length;
+        }
+
+        this.historyIndex = Math.max(0, this.historyIndex + step);
+        if (this.historyIndex >= this.history.length) {
+            this.historyIndex = null;
+            this.commandInput.value = this.historyDraft;
+        } else {
+            this.commandInput.value = this.history[this.historyIndex];
+        }
+        this.hideCompletions();
+    }
+
+    // Complete the command being typed (Tab). A single match is filled in; several matches fill in
+    // the part they share and are listed in the dropdown.
+    completeCommand() {
+        const completions = this.engine.getCompletions(this.commandInput.value);
+        if (completions.length === 0) {
+            this.hideCompletions();
+            return;
+        }
+        if (completions.length === 1) {
+            this.commandInput.value = completions[0] + ' ';
+            this.hideCompletions();
+            return;
+        }
+
+        let shared = completions[0];
+        completions.forEach(completion => {
+            while (!completion.startsWith(shared)) {
+                shared = shared.slice(0, -1);
+            }
+        });
+        if (shared.length > this.commandInput.value.trim().length) {
+            this.commandInput.value = shared;
+        }
+        this.completionList.innerHTML = completions
+            .map(completion => `<li data-completion="${completion}">${completion}</li>`).join('');
+        this.completionList.style.display = 'block';
+    }
+
+    // Close the completion dropdown
+    hideCompletions() {
+        this.completionList.style.display = 'none';
+    }
+
     // Set up event listeners
     setupEventListeners() {
         // Handle form submission
         const submitCommand = () => {
             const command = this.commandInput.value.trim();
             if (command) {
-                this.displayMessage(`> ${command}`);
-                const result = this.processCommand(command);
-                this.displayMessage(result);
+                this.addToHistory(command);
+                this.runCommand(command);
                 this.commandInput.value = '';
             }
+            this.hideCompletions();
         };
-        
+
         this.submitButton.addEventListener('click', submitCommand);
         this.commandInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 submitCommand();
             }
         });
-        
+
+        // Shell-like input: Up/Down browse the history, Tab completes verbs and names
+        // (Alt+Up/Down move the player instead, see below)
+        this.commandInput.addEventListener('keydown', (e) => {
+            if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && !e.altKey) {
+                e.preventDefault();
+                this.browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.completeCommand();
+            }
+        });
+        this.commandInput.addEventListener('input', () => {
+            this.historyIndex = null;
+            this.hideCompletions();
+        });
+
+        // Picking a completion from the dropdown fills it in
+        this.completionList.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-completion]');
+            if (option) {
+                this.commandInput.value = option.dataset.completion + ' ';
+                this.hideCompletions();
+                this.commandInput.focus();
+            }
+        });
+
+        // Keyboard shortcuts: Escape closes the image, and the movement keys move the player (see getMoveDirection)
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeImageModal();
+                this.hideCompletions();
+                return;
+            }
+
+            const direction = getMoveDirection(e, this.commandInput);
+            if (!direction) {
+                return;
+            }
+            e.preventDefault();
+            this.runCommand(`go ${direction}`);
+        });
+
         // Direction buttons
         const directionButtons = document.querySelectorAll('.direction-btn');
         directionButtons.forEach(btn => {
             btn.addEventListener('click', () => {
-                const direction = btn.dataset.direction;
-                this.displayMessage(`> go ${direction}`);
-                const result = this.processCommand(`go ${direction}`);
-                this.displayMessage(result);
+                this.runCommand(`go ${btn.dataset.direction}`);
             });
         });
-        
+
+        // Sidebar tabs switch between the combat log, the journal, the map and the objectives
+        const tabs = document.querySelectorAll('.sidebar-tab');
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(other => {
+                    other.classList.toggle('active', other === tab);
+                    document.getElementById(other.dataset.tab).style.display = other === tab ? 'block' : 'none';
+                });
+            });
+        });
+
+        // Clicking a visited room on the mini-map walks there by the shortest safe route
+        this.mapDisplay.addEventListener('click', (e) => {
+            const room = e.target.closest('[data-room]');
+            if (room) {
+                this.runCommand(`go to ${room.dataset.room}`);
+            }
+        });
+
+        // Summary buttons: undo the fatal move, or just close the summary to read the log
+        document.getElementById('summary-undo-btn').addEventListener('click', () => {
+            this.hideSummary();
+            this.runCommand('undo');
+        });
+        document.getElementById('summary-close-btn').addEventListener('click', () => this.hideSummary());
+
         // Action buttons
         const actionButtons = document.querySelectorAll('.action-btn');
         actionButtons.forEach(btn => {
             btn.addEventListener('click', () => {
-                const action = btn.dataset.action;
-                this.displayMessage(`> ${action}`);
-                const result = this.processCommand(action);
-                this.displayMessage(result);
+                this.runCommand(btn.dataset.action);
             });
         });
     }
-    
+
     // Update compass buttons based on available exits
     updateCompass() {
-        const currentRoom = this.getRoom(this.player.currentLocation);
+        const currentRoom = this.engine.getRoom(this.engine.player.currentLocation);
         if (!currentRoom) return;
-        
+
         const availableExits = currentRoom.getExits();
-        const directions = ['north', 'south', 'east', 'west'];
-        
+        const directions = DIRECTIONS;
+
         // Check for hostile creatures in current room
         const hostileCreatures = currentRoom.creatures.filter(creature =>
             creature.isHostile && creature.isAlive
         );
-        
+
         directions.forEach(dir => {
             const btn = document.querySelector(`.direction-btn.${dir}`);
             if (btn) {
@@ -1113,13 +662,26 @@ Your goal: Survive the alien creatures and find a way to call for rescue!`;
                 } else {
                     btn.disabled = true;
                 }
+
+                // Locked exits stay clickable (the engine explains why you can't pass) but look different
+                const isLocked = availableExits.includes(dir) && currentRoom.exits[dir].locked;
+                btn.classList.toggle('locked', !!isLocked);
+                btn.title = isLocked ? 'Locked' : '';
             }
         });
+
+        // Up and down are rare, so their buttons only appear where the room has those exits
+        ['up', 'down'].forEach(dir => {
+            document.querySelector(`.direction-btn.${dir}`).style.display = availableExits.includes(dir) ? '' : 'none';
+        });
+        document.querySelector('.compass-vertical').style.display =
+            availableExits.includes('up') || availableExits.includes('down') ? '' : 'none';
     }
 }
 
-// Global game engine variable
+// Global game engine and renderer variables
 let gameEngine;
+let gameRenderer;
 
 // Function to close image modal (must be global for onclick to work)
 function closeImageModal() {
@@ -1135,17 +697,98 @@ document.addEventListener('DOMContentLoaded', () => {
     const welcomeScreen = document.getElementById('welcome-screen');
     const gameScreen = document.getElementById('game-screen');
     const startGameBtn = document.getElementById('start-game-btn');
-    
+    const worldFileInput = document.getElementById('world-file');
+    const worldStatus = document.getElementById('world-status');
+    const hardcoreCheckbox = document.getElementById('hardcore-mode');
+    let customWorld = null; // World loaded from a JSON file, if any
+    let defaultWorld = null; // World that ships with the game, once it has loaded
+
+    // Load the default world file the same way as a custom one. Until it (or a custom world) has
+    // loaded there's nothing to play, so the start button waits for it.
+    startGameBtn.disabled = true;
+    fetch(DEFAULT_WORLD_FILE)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        })
+        .then(text => {
+            defaultWorld = parseWorld(text);
+            startGameBtn.disabled = false;
+        })
+        .catch(error => {
+            const problems = error.errors || [error.message];
+            worldStatus.innerHTML = `<span class="danger-text">${DEFAULT_WORLD_FILE} can't be loaded (open the game through a web server, or load a custom world):\n- ${problems.join('\n- ')}</span>`;
+        });
+
+    // Load and validate a custom world file; problems are listed under the button
+    worldFileInput.addEventListener('change', () => {
+        const file = worldFileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                customWorld = parseWorld(reader.result);
+                startGameBtn.disabled = false;
+                worldStatus.innerHTML = `<span class="success-text">Loaded world: ${customWorld.title || customWorld.id}</span>`;
+            } catch (error) {
+                customWorld = null;
+                startGameBtn.disabled = !defaultWorld;
+                const problems = error.errors || [error.message];
+                worldStatus.innerHTML = `<span class="danger-text">${file.name} can't be loaded:\n- ${problems.join('\n- ')}</span>`;
+            }
+        };
+        reader.readAsText(file);
+    });
+
+    // Start a new game with the settings from the welcome screen. The renderer is created once;
+    // later games (Play again) reuse it with a new engine.
+    const startGame = () => {
+        // URL options (?seed=123 reproduces a run, ?undo=5 changes how many moves can be undone)
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed');
+        const undoDepth = params.get('undo');
+        const options = { world: customWorld || defaultWorld };
+        if (seed !== null && /^\d+$/.test(seed)) {
+            options.seed = Number(seed);
+        }
+        if (undoDepth !== null && /^\d+$/.test(undoDepth)) {
+            options.undoDepth = Number(undoDepth);
+        }
+        options.hardcore = hardcoreCheckbox.checked;
+        options.difficulty = document.querySelector('input[name="difficulty"]:checked').value;
+        gameEngine = new GameEngine(options);
+        if (gameRenderer) {
+            gameRenderer.restart(gameEngine);
+        } else {
+            gameRenderer = new GameRenderer(gameEngine);
+            gameRenderer.start();
+        }
+    };
+
     // Handle start game button click
     startGameBtn.addEventListener('click', function() {
         // Hide welcome screen and show game screen
         welcomeScreen.style.display = 'none';
         gameScreen.style.display = 'block';
-        
+
         // Scroll to top of page when game starts
         window.scrollTo(0, 0);
-        
+
         // Initialize game after screen transition
-        gameEngine = new GameEngine();
+        startGame();
     });
-});
\ No newline at end of file
+
+    // Play again with the same settings from the end-of-game summary
+    document.getElementById('play-again-btn').addEventListener('click', () => {
+        window.scrollTo(0, 0);
+        startGame();
+    });
+});
+
+// Export for the Node tests (in the browser everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getMoveDirection, MOVE_KEYS };
+}
@@ -0,0 +1,57 @@
+// Fights: fleeing goes through the same room entry as walking, and what the creature allows mid-fight
+const test = require('node:test');
+const assert = require('node:assert');
+const { newGame, plain } = require('./helpers.js');
+
+// A game in the Alien Forest, fighting the Xenomorph, with the Alien Beast waiting back at the Crash Site
+function fleeSetup() {
+    const engine = newGame();
+    engine.player.health = engine.player.maxHealth = 1000;
+    engine.processCommand('go north');
+    const beast = engine.creatures.alien_beast;
+    engine.getRoom('research_facility').removeCreature(beast.id);
+    engine.getRoom('crash_site').addCreature(beast);
+    beast.isHostile = true;
+    engine.rng.next = () => 0; // Every roll succeeds: the escape, the hits and the player's initiative
+    return engine;
+}
+
+test('fleeing into a room with a hostile creature rolls initiative', () => {
+    const engine = fleeSetup();
+    const result = engine.processCommand('flee');
+    assert.strictEqual(engine.player.currentLocation, 'crash_site');
+    assert.match(plain(result.text), /You turn and run south!/);
+    assert.match(plain(result.text), /You spot the Alien Beast before it notices you/);
+    assert.ok(result.events.some(event => event.type === 'show-image' && /Alien Beast/.test(event.alt)));
+});
+
+test('fleeing into a room never visited before awards exploration XP', () => {
+    const engine = fleeSetup();
+    engine.getRoom('crash_site').isVisited = false;
+    const xp = engine.player.xp;
+    const result = engine.processCommand('flee');
+    assert.ok(result.events.some(event => event.type === 'room-entered' && event.room === 'crash_site' && event.firstVisit));
+    assert.ok(engine.player.xp > xp);
+});
+
+test('a creature blocks other commands mid-fight, in words that fit the command', () => {
+    const engine = newGame();
+    engine.processCommand('n');
+    const turn = engine.turn;
+    
+    const result = engine.processCommand('take medkit');
+    assert.match(plain(result.text), /^The Xenomorph won't let you pick anything up! Attack, defend, flee or use an item\./);
+    assert.strictEqual(engine.turn, turn + 1);
+});
+
+test('an attack or item use on nothing takes no turn and gives the creature no free attack', () => {
+    const engine = newGame();
+    engine.processCommand('n');
+    const health = engine.player.health;
+    const turn = engine.turn;
+    
+    assert.strictEqual(plain(engine.processCommand('attack ghost').text), 'There is no ghost here.');
+    assert.strictEqual(plain(engine.processCommand('use zzz').text), "You don't have a zzz.");
+    assert.strictEqual(engine.turn, turn);
+    assert.strictEqual(engine.player.health, health);
+});
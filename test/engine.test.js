@@ -0,0 +1,122 @@
+// Driving the engine through processCommand: every command returns { text, events, delta }
+const test = require('node:test');
+const assert = require('node:assert');
+const { newGame, copyWorld, plain } = require('./helpers.js');
+
+test('start() describes the world and the starting room', () => {
+    const engine = newGame();
+    const result = engine.start();
+    assert.match(result.text, /=== ALIEN PLANET SURVIVAL ===/);
+    assert.match(plain(result.text), /Crash Site/);
+    assert.deepStrictEqual(result.events.find(event => event.type === 'room-entered'),
+        { type: 'room-entered', room: 'crash_site', firstVisit: true });
+});
+
+test('taking an item returns its text, an item-taken event and the changed inventory', () => {
+    const engine = newGame();
+    const result = engine.processCommand('take flashlight');
+    assert.strictEqual(result.text, 'You take the Flashlight.');
+    assert.deepStrictEqual(result.events.map(event => event.type), ['item-taken']);
+    assert.deepStrictEqual(result.delta.inventory, ['flashlight']);
+    assert.strictEqual(result.delta.carriedWeight, 2);
+    assert.strictEqual(engine.turn, 1);
+});
+
+test('moving reports the new location in the delta and a room-entered event', () => {
+    const engine = newGame();
+    const result = engine.processCommand('go north');
+    assert.strictEqual(result.delta.location, 'alien_forest');
+    assert.strictEqual(result.delta.locationName, 'Alien Forest');
+    assert.ok(result.events.some(event => event.type === 'room-entered' && event.room === 'alien_forest' && event.firstVisit));
+    assert.match(plain(result.text), /Alien Forest/);
+});
+
+test('free actions take no turn and change nothing', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    const result = engine.processCommand('inventory');
+    assert.match(result.text, /^Inventory: Flashlight/);
+    assert.deepStrictEqual(result.events, []);
+    assert.deepStrictEqual(result.delta, {});
+    assert.strictEqual(engine.turn, 1);
+});
+
+test('unknown commands are refused without taking a turn', () => {
+    const engine = newGame();
+    const result = engine.processCommand('xyzzy');
+    assert.strictEqual(result.text, "I don't understand 'xyzzy'. Type 'help' for available commands.");
+    assert.strictEqual(engine.turn, 0);
+});
+
+test('dying ends the game with a game-over event', () => {
+    const engine = newGame();
+    engine.player.health = 1;
+    engine.getRoom('crash_site').oxygen = 0;
+    engine.player.oxygen = 0;
+    const result = engine.processCommand('look');
+    assert.ok(result.events.some(event => event.type === 'game-over'));
+    assert.strictEqual(result.delta.isGameOver, true);
+    assert.strictEqual(engine.player.isAlive, false);
+});
+
+test('a used-up item leaves the inventory and its equipment slot', () => {
+    const world = copyWorld();
+    Object.assign(world.items.find(item => item.id === 'medkit'), { maxUses: 1, isEquippable: true, slot: 'armor' });
+    world.rooms[0].items.push('medkit');
+    world.rooms[1].items = [];
+    const engine = newGame({ world: world });
+    engine.processCommand('take medkit');
+    engine.processCommand('equip medkit');
+    engine.player.health = 40;
+    
+    const result = engine.processCommand('use medkit');
+    assert.match(plain(result.text), /^You use the medkit and restore/);
+    assert.deepStrictEqual(result.delta.inventory, []);
+    assert.strictEqual(engine.player.equipment.armor, null);
+    assert.strictEqual(engine.player.getCarriedWeight(), 0);
+});
+
+test('a locked exit that also needs an item stays locked until the move goes ahead', () => {
+    const world = copyWorld();
+    world.creatures.find(creature => creature.id === 'friendly_alien').inventory = [];
+    world.rooms.find(room => room.id === 'research_facility').items = ['battery', 'armor_vest'];
+    world.rooms[0].items.push('keycard', 'datapad');
+    world.rooms.find(room => room.id === 'crystal_caves').exits.north.requires = 'datapad';
+    const engine = newGame({ world: world });
+    engine.processCommand('take keycard then e');
+    
+    assert.strictEqual(plain(engine.processCommand('n').text), 'You need the Research Datapad to go north.');
+    assert.strictEqual(engine.getRoom('crystal_caves').getExit('north').locked, true);
+    
+    engine.processCommand('w then take datapad then e');
+    const result = engine.processCommand('n');
+    assert.match(plain(result.text), /^You swipe the keycard\. The reader blinks green and the blast door grinds open\./);
+    assert.strictEqual(result.delta.location, 'research_facility');
+});
+
+test('commands that can do nothing take no turn', () => {
+    const engine = newGame();
+    const oxygen = engine.player.oxygen;
+    ['attack', 'talk alien', 'take zzz', 'drop flashlight', 'w', 'give bar to alien', 'trade'].forEach(command => {
+        const result = engine.processCommand(command);
+        assert.deepStrictEqual(result.delta, {}, command);
+    });
+    assert.strictEqual(engine.turn, 0);
+    assert.strictEqual(engine.player.oxygen, oxygen);
+});
+
+test('the inventory lists every note on an item: uses left, equipped, on or off and battery', () => {
+    const world = copyWorld();
+    Object.assign(world.items.find(item => item.id === 'medkit'), { isEquippable: true, slot: 'armor' });
+    Object.assign(world.items.find(item => item.id === 'flashlight'), { isEquippable: true, slot: 'weapon' });
+    world.rooms[0].items.push('medkit');
+    world.rooms[1].items = [];
+    const engine = newGame({ world: world });
+    engine.processCommand('take medkit, flashlight');
+    engine.processCommand('equip medkit, flashlight');
+    engine.processCommand('turn on flashlight');
+    
+    const battery = engine.player.getItem('flashlight').battery;
+    assert.strictEqual(engine.player.getInventory(),
+        `Medkit (2 uses left, equipped), Flashlight (equipped, on, ${battery} turns of battery)`);
+});
@@ -0,0 +1,21 @@
+// Shared helpers for the engine tests
+const { GameEngine, MemoryStorage, getDefaultWorld } = require('../engine.js');
+
+// Start a new game with a fixed seed and its own in-memory storage
+function newGame(options = {}) {
+    const engine = new GameEngine(Object.assign({ seed: 1, storage: new MemoryStorage() }, options));
+    engine.start();
+    return engine;
+}
+
+// A fresh copy of the default world, safe to change in a test
+function copyWorld() {
+    return JSON.parse(getDefaultWorld());
+}
+
+// Remove the HTML tags from a command's text
+function plain(text) {
+    return text.replace(/<[^>]+>/g, '');
+}
+
+module.exports = { newGame, copyWorld, plain };
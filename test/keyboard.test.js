@@ -0,0 +1,49 @@
+// Keyboard movement in the browser: which key presses move the player (getMoveDirection in game.js)
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.document = { addEventListener() {} }; // game.js waits for the page to load; there is no page here
+const { getMoveDirection } = require('../game.js');
+
+// The command input, focused, holding the given text
+function commandInput(value = '') {
+    return { tagName: 'INPUT', value: value };
+}
+
+// A keydown event on the target
+function key(name, target, modifiers = {}) {
+    return Object.assign({ key: name, target: target, altKey: false, ctrlKey: false, metaKey: false, shiftKey: false }, modifiers);
+}
+
+test('WASD and Left/Right move from the empty, focused command input', () => {
+    const input = commandInput();
+    assert.strictEqual(getMoveDirection(key('w', input), input), 'north');
+    assert.strictEqual(getMoveDirection(key('d', input), input), 'east');
+    assert.strictEqual(getMoveDirection(key('ArrowLeft', input), input), 'west');
+    assert.strictEqual(getMoveDirection(key('x', input), input), null);
+});
+
+test('Up/Down browse the history and letters type once the input has text or Shift is held', () => {
+    const input = commandInput();
+    assert.strictEqual(getMoveDirection(key('ArrowUp', input), input), null);
+    assert.strictEqual(getMoveDirection(key('W', input, { shiftKey: true }), input), null);
+    
+    const typed = commandInput('take');
+    assert.strictEqual(getMoveDirection(key('s', typed), typed), null);
+    assert.strictEqual(getMoveDirection(key('ArrowRight', typed), typed), null);
+});
+
+test('Alt+arrow keys move at any time', () => {
+    const typed = commandInput('take');
+    assert.strictEqual(getMoveDirection(key('ArrowUp', typed, { altKey: true }), typed), 'north');
+    assert.strictEqual(getMoveDirection(key('w', typed, { altKey: true }), typed), null);
+});
+
+test('with the focus outside the text fields every movement key moves', () => {
+    const input = commandInput();
+    const page = { tagName: 'BODY' };
+    assert.strictEqual(getMoveDirection(key('ArrowDown', page), input), 'south');
+    assert.strictEqual(getMoveDirection(key('a', page), input), 'west');
+    assert.strictEqual(getMoveDirection(key('a', { tagName: 'INPUT' }), input), null);
+    assert.strictEqual(getMoveDirection(key('a', page, { ctrlKey: true }), input), null);
+});
@@ -0,0 +1,118 @@
+// The parser: verb synonyms, direction abbreviations, chained commands, fuzzy nouns and "which one?"
+const test = require('node:test');
+const assert = require('node:assert');
+const { newGame, copyWorld, plain } = require('./helpers.js');
+
+test('verb synonyms, stop words and prepositions', () => {
+    const parser = newGame().parser;
+    assert.deepStrictEqual(parser.parse('pick up the energy bar'),
+        { verb: 'take', noun: 'energy bar', preposition: null, indirect: '' });
+    assert.deepStrictEqual(parser.parse('put battery in beacon'),
+        { verb: 'put', noun: 'battery', preposition: 'in', indirect: 'beacon' });
+    assert.strictEqual(parser.parse('look at datapad').verb, 'examine');
+    assert.strictEqual(parser.parse('grab flashlight').verb, 'take');
+});
+
+test('a bare direction or its abbreviation means go there', () => {
+    const parser = newGame().parser;
+    assert.deepStrictEqual(parser.parse('e'), { verb: 'go', noun: 'east', preposition: null, indirect: '' });
+    assert.deepStrictEqual(parser.parse('go n'), { verb: 'go', noun: 'north', preposition: null, indirect: '' });
+    
+    const result = newGame().processCommand('n');
+    assert.strictEqual(result.delta.location, 'alien_forest');
+});
+
+test('synonyms run the same command', () => {
+    const engine = newGame();
+    const result = engine.processCommand('pick up the energy bar');
+    assert.strictEqual(plain(result.text), 'You take the Energy Bar.');
+    assert.deepStrictEqual(result.events.map(event => event.type), ['item-taken']);
+    assert.deepStrictEqual(result.delta.inventory, ['energy_bar']);
+});
+
+test('chained commands run in order', () => {
+    const engine = newGame();
+    assert.deepStrictEqual(engine.parser.splitChain('take knife and medkit then n; s'),
+        ['take knife and medkit', 'n', 's']);
+    
+    const result = engine.processCommand('take flashlight then e, w');
+    assert.match(plain(result.text), /^You take the Flashlight\.\n\nCrystal Caves[\s\S]*\n\nCrash Site/);
+    assert.strictEqual(engine.player.currentLocation, 'crash_site');
+    assert.strictEqual(engine.turn, 3);
+});
+
+test('"and" and a chained part without a verb reuse the verb', () => {
+    const engine = newGame();
+    assert.strictEqual(plain(engine.processCommand('take oxygen and bar').text),
+        'You take the Oxygen Canister.\n\nYou take the Energy Bar.');
+    assert.strictEqual(plain(engine.processCommand('drop bar, oxygen').text),
+        'You drop the Energy Bar.\n\nYou drop the Oxygen Canister.');
+});
+
+test('a chain stops when a fight breaks out', () => {
+    const engine = newGame();
+    const text = plain(engine.processCommand('n then take medkit, s').text);
+    assert.match(text, /\(You stop before: take medkit, s\)/);
+    assert.strictEqual(engine.player.currentLocation, 'alien_forest');
+    assert.ok(!engine.player.inventory.some(item => item.id === 'medkit'));
+});
+
+test('nouns match by the start of a word and by small typos', () => {
+    const engine = newGame();
+    assert.strictEqual(plain(engine.processCommand('take bar').text), 'You take the Energy Bar.');
+    assert.strictEqual(plain(engine.processCommand('take flashligt').text), 'You take the Flashlight.');
+    assert.strictEqual(plain(engine.processCommand('take oxygen canistr').text), 'You take the Oxygen Canister.');
+    assert.strictEqual(plain(engine.processCommand('take zzz').text), 'There is no zzz here.');
+});
+
+test('an ambiguous noun asks which one, and the answer finishes the command', () => {
+    const world = copyWorld();
+    world.rooms[0].items.push('overcharged_flashlight');
+    const engine = newGame({ world: world });
+    
+    assert.strictEqual(plain(engine.processCommand('take flash').text),
+        'Which one do you mean: the Flashlight or the Overcharged Flashlight?');
+    assert.strictEqual(engine.player.inventory.length, 0);
+    
+    assert.strictEqual(plain(engine.processCommand('2').text), 'You take the Overcharged Flashlight.');
+    assert.strictEqual(plain(engine.processCommand('take flash').text), 'You take the Flashlight.');
+});
+
+test('a new command instead of an answer drops the question', () => {
+    const world = copyWorld();
+    world.rooms[0].items.push('overcharged_flashlight');
+    const engine = newGame({ world: world });
+    
+    engine.processCommand('take flash');
+    assert.strictEqual(plain(engine.processCommand('take bar').text), 'You take the Energy Bar.');
+    assert.strictEqual(engine.pendingQuestion, null);
+});
+
+test('"turn on" and "turn off" say which way to switch', () => {
+    const parser = newGame().parser;
+    assert.strictEqual(parser.parse('turn on flashlight').verb, 'use');
+    assert.strictEqual(parser.parseSwitch('turn on flashlight'), 'on');
+    assert.strictEqual(parser.parseSwitch('Switch off the flashlight'), 'off');
+    assert.strictEqual(parser.parseSwitch('use flashlight'), null);
+});
+
+test('switching a light on or off never toggles it the wrong way', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    const flashlight = engine.player.getItem('flashlight');
+    
+    assert.strictEqual(plain(engine.processCommand('turn off flashlight').text), 'The Flashlight is already off.');
+    assert.strictEqual(flashlight.isLit, false);
+    assert.strictEqual(plain(engine.processCommand('turn on flashlight').text), 'You turn on the flashlight. The beam cuts through the darkness.');
+    assert.strictEqual(flashlight.isLit, true);
+    
+    const turn = engine.turn;
+    assert.strictEqual(plain(engine.processCommand('switch on flashlight').text), 'The Flashlight is already on.');
+    assert.strictEqual(flashlight.isLit, true);
+    assert.strictEqual(engine.turn, turn);
+    assert.strictEqual(plain(engine.processCommand('switch off flashlight').text), 'You switch off the flashlight to save its battery.');
+    assert.strictEqual(flashlight.isLit, false);
+    
+    engine.processCommand('use flashlight');
+    assert.strictEqual(flashlight.isLit, true);
+});
@@ -0,0 +1,65 @@
+// Quests: steps complete after any command that fulfils them, hints unlock when the player is stuck
+const test = require('node:test');
+const assert = require('node:assert');
+const { newGame, copyWorld, plain } = require('./helpers.js');
+
+// The default world with the Peaceful Alien waiting at the crash site
+function alienAtCrashSite() {
+    const world = copyWorld();
+    world.creatures.find(creature => creature.id === 'friendly_alien').behavior.roam = 0;
+    world.rooms.find(room => room.id === 'underground_tunnels').creatures = [];
+    world.rooms.find(room => room.id === 'crash_site').creatures = ['friendly_alien'];
+    return world;
+}
+
+test('taking an item completes the step that asks for it', () => {
+    const world = copyWorld();
+    world.quests = [{ id: 'light', name: 'Light', steps: [{ id: 'torch', name: 'Find a light', conditions: { inventory: ['flashlight'] } }] }];
+    const engine = newGame({ world: world });
+    
+    const result = engine.processCommand('take flashlight');
+    assert.strictEqual(plain(result.text),
+        'You take the Flashlight.\n\n✅ Objective complete: Find a light\n\n🎯 Quest complete: Light!');
+    assert.deepStrictEqual(result.events.map(event => event.type), ['item-taken', 'objective-completed', 'quest-completed']);
+});
+
+test('an item given by a creature completes its step', () => {
+    const engine = newGame({ world: alienAtCrashSite() });
+    engine.processCommand('take bar');
+    
+    const result = engine.processCommand('give bar to alien');
+    assert.match(plain(result.text), /✅ Objective complete: Get a keycard for the Research Facility$/);
+    assert.deepStrictEqual(result.events.map(event => event.type), ['objective-completed']);
+    assert.match(plain(engine.processCommand('objectives').text), /✅ Get a keycard for the Research Facility/);
+});
+
+test('objectives list every quest with the steps done and still to do', () => {
+    const text = plain(newGame().processCommand('objectives').text);
+    assert.match(text, /^=== OBJECTIVES ===\n🎯 Call for Rescue - Get a distress signal off this planet\.\n  ⬜ Find the emergency beacon/);
+    assert.match(text, /🎯 The Sealed Facility - Find out what the research team left behind\.\n  ⬜ Get a keycard for the Research Facility/);
+});
+
+test('a hint unlocks once the player has been stuck on a step for its turns', () => {
+    const world = copyWorld();
+    world.quests = [{ id: 'light', name: 'Light', steps: [
+        { id: 'torch', name: 'Find a light', conditions: { inventory: ['flashlight'] }, hint: 'Look around the wreck.', hintAfter: 2 }
+    ] }];
+    const engine = newGame({ world: world });
+    
+    assert.doesNotMatch(plain(engine.processCommand('take bar').text), /Hint/);
+    assert.match(plain(engine.processCommand('drop bar').text), /💡 Hint for "Find a light": Look around the wreck\.$/);
+    assert.doesNotMatch(plain(engine.processCommand('take bar').text), /Hint/);
+    assert.strictEqual(engine.quests.getQuests()[0].steps[0].hint, 'Look around the wreck.');
+});
+
+test('quest progress is saved and restored', () => {
+    const engine = newGame({ world: alienAtCrashSite() });
+    engine.processCommand('take bar');
+    engine.processCommand('save slot1');
+    engine.processCommand('give bar to alien');
+    assert.deepStrictEqual(engine.quests.serialize().completed, ['open_facility/get_keycard']);
+    
+    engine.processCommand('load slot1');
+    assert.deepStrictEqual(engine.quests.serialize().completed, []);
+    assert.match(plain(engine.processCommand('objectives').text), /⬜ Get a keycard for the Research Facility/);
+});
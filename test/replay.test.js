@@ -0,0 +1,115 @@
+// Seeds and replays: the same seed, rules and commands always give the same transcript
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine, MemoryStorage, RandomGenerator } = require('../engine.js');
+const { newGame, copyWorld, plain } = require('./helpers.js');
+
+// Play a few commands that roll dice: a fight in the forest
+const COMMANDS = ['take flashlight', 'take energy bar', 'go north', 'attack', 'attack', 'defend', 'attack'];
+
+test('the random generator repeats its numbers for the same seed and picks up where a snapshot left off', () => {
+    const first = new RandomGenerator(42);
+    const second = new RandomGenerator(42);
+    const numbers = Array.from({ length: 5 }, () => first.next());
+    assert.deepStrictEqual(Array.from({ length: 5 }, () => second.next()), numbers);
+    assert.ok(numbers.every(number => number >= 0 && number < 1));
+    
+    const saved = first.serialize();
+    const next = first.int(1, 6);
+    const restored = new RandomGenerator(1);
+    restored.restore(saved);
+    assert.strictEqual(restored.int(1, 6), next);
+});
+
+test('the same seed and commands always give the same transcript', () => {
+    const once = GameEngine.replay(11, COMMANDS);
+    const again = GameEngine.replay(11, COMMANDS);
+    assert.strictEqual(again.transcript, once.transcript);
+    assert.deepStrictEqual(again.engine.serializeState().player, once.engine.serializeState().player);
+    assert.notStrictEqual(GameEngine.replay(12, COMMANDS).transcript, once.transcript);
+});
+
+test('replay without arguments plays the current run again, and is not itself recorded', () => {
+    const engine = new GameEngine({ seed: 11, storage: new MemoryStorage() });
+    engine.start();
+    COMMANDS.forEach(command => engine.processCommand(command));
+    const replay = engine.processCommand('replay').text;
+    assert.ok(replay.includes(GameEngine.replay(11, COMMANDS).transcript));
+    assert.deepStrictEqual(engine.commandLog, COMMANDS);
+});
+
+test('the seed line records the difficulty and hardcore setting of the run', () => {
+    const engine = newGame({ seed: 5, difficulty: 'hard', hardcore: true });
+    COMMANDS.forEach(command => engine.processCommand(command));
+    const text = engine.processCommand('seed').text;
+    assert.match(text, /^Seed: 5 \(Hard, hardcore\)/);
+    assert.strictEqual(text.split('\n').pop(), `replay 5 hard hardcore ${COMMANDS.join('; ')}`);
+});
+
+test('replaying the seed line plays the run again under the same rules', () => {
+    const engine = new GameEngine({ seed: 5, difficulty: 'hard', storage: new MemoryStorage() });
+    const transcript = [engine.start().text];
+    COMMANDS.forEach(command => {
+        transcript.push(`> ${command}`, engine.processCommand(command).text);
+    });
+    
+    const replay = engine.processCommand(engine.processCommand('seed').text.split('\n').pop()).text;
+    assert.match(plain(replay), /=== REPLAY OF SEED 5 ON HARD \(7 commands\) ===/);
+    assert.ok(replay.includes(transcript.join('\n\n')));
+    assert.notStrictEqual(GameEngine.replay(5, COMMANDS, { difficulty: 'easy' }).transcript,
+        GameEngine.replay(5, COMMANDS, { difficulty: 'hard' }).transcript);
+});
+
+test('a replay line without a difficulty plays on Normal', () => {
+    const engine = newGame({ seed: 5, difficulty: 'hard' });
+    assert.match(plain(engine.processCommand('replay 5 take flashlight').text), /=== REPLAY OF SEED 5 ON NORMAL \(1 command\) ===/);
+    assert.match(engine.processCommand('replay nonsense').text, /^Replay what\?/);
+});
+
+// Play a run on a world that is won by picking up the flashlight, on the given storage, and return its transcript
+function playQuickWin(world, storage) {
+    const engine = new GameEngine({ seed: 3, world: world, storage: storage });
+    const transcript = [engine.start().text];
+    ['take energy bar', 'take flashlight'].forEach(command => {
+        transcript.push(`> ${command}`, engine.processCommand(command).text);
+    });
+    return { engine: engine, transcript: transcript.join('\n\n') };
+}
+
+test('a won run replays word for word even when earlier wins are on the leaderboard', () => {
+    const world = copyWorld();
+    world.endings = [{ id: 'lit', name: 'Let There Be Light', conditions: { inventory: ['flashlight'] } }];
+    const storage = new MemoryStorage();
+    playQuickWin(world, storage);
+    
+    const run = playQuickWin(world, storage);
+    assert.strictEqual(run.engine.leaderboardRank, 2);
+    assert.strictEqual(GameEngine.replay(3, run.engine.commandLog, { world: world }).transcript, run.transcript);
+    assert.ok(run.engine.events.some(event => event.type === 'win' && event.leaderboardRank === 2));
+});
+
+test('earned achievements replay word for word even when they were unlocked in earlier games', () => {
+    const world = copyWorld();
+    world.achievements = [{ id: 'pack_rat', name: 'Pack Rat', description: 'Leave with a light.', on: 'room-entered', inventory: ['flashlight'] }];
+    const storage = new MemoryStorage();
+    const play = () => {
+        const engine = new GameEngine({ seed: 3, world: world, storage: storage });
+        const transcript = [engine.start().text, '> take flashlight', engine.processCommand('take flashlight').text];
+        engine.processCommand('achievements');
+        const result = engine.processCommand('go north');
+        transcript.push('> go north', result.text);
+        return { engine: engine, events: result.events, transcript: transcript.join('\n\n') };
+    };
+    
+    const first = play();
+    assert.match(plain(first.transcript), /Achievement earned: Pack Rat!/);
+    assert.ok(first.events.some(event => event.type === 'achievement-unlocked'));
+    
+    const second = play();
+    assert.match(plain(second.transcript), /Achievement earned: Pack Rat!/);
+    assert.ok(!second.events.some(event => event.type === 'achievement-unlocked'));
+    assert.deepStrictEqual(second.engine.commandLog, ['take flashlight', 'go north']);
+    
+    const replay = GameEngine.replay(3, second.engine.commandLog, { world: world }).transcript;
+    assert.strictEqual(replay, second.transcript);
+});
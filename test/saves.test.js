@@ -0,0 +1,93 @@
+// Undo, redo, saving and loading: all built on engine snapshots
+const test = require('node:test');
+const assert = require('node:assert');
+const { newGame, plain } = require('./helpers.js');
+
+test('undo takes back the last turn and redo plays it again', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    
+    const undo = engine.processCommand('undo');
+    assert.match(plain(undo.text), /^Undone: 'take flashlight'\./);
+    assert.deepStrictEqual(undo.delta.inventory, []);
+    assert.strictEqual(engine.turn, 0);
+    
+    const redo = engine.processCommand('redo');
+    assert.match(plain(redo.text), /^Redone: 'take flashlight'\./);
+    assert.deepStrictEqual(redo.delta.inventory, ['flashlight']);
+    assert.strictEqual(engine.turn, 1);
+    assert.strictEqual(engine.processCommand('redo').text, 'There is nothing to redo.');
+});
+
+test('a new command clears the redo history', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    engine.processCommand('undo');
+    engine.processCommand('take energy bar');
+    assert.strictEqual(engine.canRedo(), false);
+    assert.deepStrictEqual(engine.player.inventory.map(item => item.id), ['energy_bar']);
+});
+
+test('undo is limited to the configured depth and off in hardcore runs', () => {
+    const engine = newGame({ undoDepth: 1 });
+    engine.processCommand('take flashlight');
+    engine.processCommand('take energy bar');
+    engine.processCommand('undo');
+    assert.strictEqual(engine.processCommand('undo').text, 'There is nothing to undo.');
+    
+    const hardcore = newGame({ hardcore: true });
+    hardcore.processCommand('take flashlight');
+    assert.match(plain(hardcore.processCommand('undo').text), /There is no undo in a hardcore run/);
+});
+
+test('a saved game loads back exactly', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    engine.processCommand('save slot1');
+    const saved = JSON.stringify(engine.serializeState());
+    engine.processCommand('take energy bar');
+    
+    assert.match(plain(engine.processCommand('load slot1').text), /Game loaded from slot "slot1"/);
+    const loaded = engine.serializeState();
+    assert.deepStrictEqual(Object.assign({}, loaded, { stats: null }), Object.assign(JSON.parse(saved), { stats: null }));
+});
+
+test('version 1 saves are migrated with the values a new game starts with', () => {
+    const engine = newGame();
+    engine.processCommand('take flashlight');
+    const state = engine.serializeState();
+    
+    // The first save format: no equipment, effects, experience, oxygen, run statistics or quests
+    state.version = 1;
+    ['rng', 'commandLog', 'turn', 'activeEvents', 'conversation', 'combatLog', 'journal', 'difficulty',
+        'hardcore', 'stats', 'achievements', 'quests', 'ending'].forEach(key => delete state[key]);
+    ['previousLocation', 'equipment', 'statusEffects', 'level', 'xp', 'damageBonus', 'accuracy', 'oxygen']
+        .forEach(key => delete state.player[key]);
+    Object.values(state.creatures).forEach(creature => {
+        delete creature.isAlerted;
+        delete creature.recoveringTurns;
+        delete creature.statusEffects;
+    });
+    engine.storage.setItem('alienPlanetSave:old', JSON.stringify({ slot: 'old', state: state }));
+    
+    engine.processCommand('take energy bar');
+    assert.match(plain(engine.processCommand('load old').text), /Game loaded from slot "old"/);
+    assert.deepStrictEqual(engine.player.inventory.map(item => item.id), ['flashlight']);
+    assert.strictEqual(engine.player.level, 1);
+    assert.strictEqual(engine.player.oxygen, 100);
+    assert.strictEqual(engine.turn, 0);
+    assert.strictEqual(engine.difficulty, 'normal');
+    assert.strictEqual(engine.serializeState().version, 2);
+    assert.strictEqual(engine.processCommand('objectives').text.includes('✅'), false);
+});
+
+test('saves from a newer version are refused and the current game is kept', () => {
+    const engine = newGame();
+    const state = engine.serializeState();
+    state.version = 99;
+    engine.storage.setItem('alienPlanetSave:future', JSON.stringify({ slot: 'future', state: state }));
+    engine.processCommand('take flashlight');
+    
+    assert.match(plain(engine.processCommand('load future').text), /newer version of the game/);
+    assert.deepStrictEqual(engine.player.inventory.map(item => item.id), ['flashlight']);
+});
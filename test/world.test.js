@@ -0,0 +1,66 @@
+// Loading worlds: validateWorld reports every problem, parseWorld throws a WorldValidationError listing them
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine, validateWorld, parseWorld, getDefaultWorld, WorldValidationError } = require('../engine.js');
+const { copyWorld } = require('./helpers.js');
+
+test('the default world is a valid world file', () => {
+    assert.deepStrictEqual(validateWorld(copyWorld()), []);
+    assert.strictEqual(parseWorld(getDefaultWorld()).id, 'alien_planet');
+    assert.strictEqual(new GameEngine().world.title, 'Alien Planet Survival');
+});
+
+test('a world must be an object with rooms, items, creatures and endings', () => {
+    assert.deepStrictEqual(validateWorld(null), ['The world must be a JSON object.']);
+    assert.deepStrictEqual(validateWorld([]), ['The world must be a JSON object.']);
+    assert.deepStrictEqual(validateWorld({}), [
+        '"rooms" must be an array.',
+        '"items" must be an array.',
+        '"creatures" must be an array.',
+        '"endings" must be an array.'
+    ]);
+});
+
+test('duplicate IDs, dangling exits, unknown items and unreachable rooms are all reported', () => {
+    const world = copyWorld();
+    world.items.push(Object.assign({}, world.items[0]));
+    world.rooms[0].exits.north = 'nowhere';
+    world.rooms[1].items.push('ghost');
+    world.rooms.push({ id: 'island', name: 'Island', description: 'Cut off from everything.' });
+    
+    assert.deepStrictEqual(validateWorld(world), [
+        "Duplicate item id 'medkit'.",
+        "Room 'crash_site' has a dangling exit north to unknown room 'nowhere'.",
+        "Room 'alien_forest' places unknown item 'ghost'.",
+        "Room 'island' is unreachable from the start room 'crash_site'."
+    ]);
+});
+
+test('conditions must refer to things that exist', () => {
+    const world = copyWorld();
+    world.endings[0].conditions = { location: 'moon', inventory: ['warp_drive'], anyOf: [{ killed: ['dragon'] }] };
+    world.endings.push({ id: 'nothing', name: 'Nothing' });
+    
+    assert.deepStrictEqual(validateWorld(world), [
+        "Ending 'ship_repaired' uses unknown room 'moon'.",
+        "Ending 'ship_repaired' uses unknown item 'warp_drive'.",
+        "Ending 'ship_repaired' uses unknown creature 'dragon'.",
+        "Ending 'nothing' has no conditions to check."
+    ]);
+});
+
+test('parseWorld throws a WorldValidationError listing every problem', () => {
+    assert.throws(() => parseWorld('{ not json'), error =>
+        error instanceof WorldValidationError && /^The world is not valid JSON/.test(error.errors[0]));
+    
+    const world = copyWorld();
+    world.rooms[0].exits.north = 'nowhere';
+    assert.throws(() => new GameEngine({ world: world }), error =>
+        error instanceof WorldValidationError &&
+        error.errors.includes("Room 'crash_site' has a dangling exit north to unknown room 'nowhere'."));
+});
+
+test('a world given as a JSON string loads', () => {
+    const engine = new GameEngine({ world: JSON.stringify(copyWorld()) });
+    assert.strictEqual(engine.player.currentLocation, 'crash_site');
+});